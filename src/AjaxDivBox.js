@@ -1,3 +1,9 @@
+import { resolvePagination, renderPrevNext } from './PaginationAdapters.js';
+import TemplateEngine from './TemplateEngine.js';
+import { morphChildren } from './DomMorph.js';
+import FilterPresets, { writeFilterInputs } from './FilterPresets.js';
+import { withRetry, fetchJson, describeError, renderRetryButton, bindConnectionEvents } from './RequestRetry.js';
+
 /**
  * AjaxDivBox - Ajax-based grid/list view with card-like div rendering.
  *
@@ -32,6 +38,55 @@ export default class AjaxDivBox {
      * @param {string|Element|null} [options.nothingFoundBlock='.nothing-found-list'] - Element to show when no results are found.
      * @param {string|Element|null} [options.errorBlock='.list-render-error'] - Element to show on fetch error.
      * @param {function|null} [options.additionalParams=null] - Function that returns an object of extra query parameters.
+     * @param {Array<Object>} [options.paginationAdapters=[]] - Custom pagination adapters, tried before the built-in
+     *   length-aware, simple and cursor ones. See PaginationAdapters.js.
+     * @param {string} [options.cursorParam='cursor'] - Query parameter used for cursor pagination.
+     * @param {string} [options.prevLabel='« Previous'] - Label of the previous button for simple/cursor pagination.
+     * @param {string} [options.nextLabel='Next »'] - Label of the next button for simple/cursor pagination.
+     * @param {'pages'|'infinite'|'loadMore'} [options.paginationMode='pages'] - 'pages' replaces the content per page.
+     *   'infinite' appends the next page when the end of the list scrolls into view, 'loadMore' when a button is clicked.
+     * @param {string} [options.loadMoreLabel='Load more'] - Label of the load more (and retry) button.
+     * @param {string} [options.infiniteRootMargin='200px'] - How far before the end of the list the next page is loaded.
+     * @param {'replace'|'morph'} [options.renderStrategy='replace'] - 'morph' patches the existing nodes instead of
+     *   replacing the container's content, keeping focus, media and open details. See DomMorph.js.
+     * @param {string} [options.morphKey='data-key'] - Attribute that identifies a box across renders.
+     * @param {string|null} [options.enterClass=null] - Classes on newly added boxes, removed on the next frame.
+     * @param {string|null} [options.leaveClass=null] - Classes on removed boxes while they transition out.
+     * @param {number} [options.leaveDuration=300] - Maximum time in ms a removed box stays for its leave transition.
+     * @param {boolean} [options.skeleton=false] - Show skeleton boxes in the container while the first page loads,
+     *   and keep the current boxes visible but dimmed while later pages load, instead of the loading element.
+     * @param {string|null} [options.skeletonTemplateId=null] - Template for one skeleton box. Without it, shimmer
+     *   blocks sized like the last rendered box are generated.
+     * @param {number|null} [options.skeletonCount=null] - Number of skeleton boxes. Defaults to the number of boxes
+     *   last rendered, or 6.
+     * @param {string} [options.dimClass='opacity-50 pointer-events-none'] - Classes on the container while refreshing.
+     * @param {Object<string, string|function|Object>|null} [options.views=null] - Switchable views. Each value is a
+     *   template id, an onBox function, or `{ templateId, onBox, label, className }` where className is applied
+     *   to the container while the view is active.
+     * @param {string|null} [options.defaultView=null] - Initial view; defaults to the first one.
+     * @param {string|Element|null} [options.viewSwitcher=null] - Element to render the view buttons into.
+     * @param {string|false|null} [options.viewStorageKey=null] - localStorage key for the chosen view. Defaults to one
+     *   derived from the container id; false disables persistence.
+     * @param {string|null} [options.viewParam='view'] - Query parameter carrying the view, for APIs returning `html`.
+     *   Omitted while the default view is active.
+     * @param {Object|boolean|null} [options.presets=null] - Saved filter presets; `true` or FilterPresets options
+     *   (`menu`, `scope`, `url`, `storage`, labels). The instance is available as `this.presets`.
+     * @param {string} [options.facetsKey='facets'] - Key in the response metadata holding per-filter option counts,
+     *   e.g. `{ category: { 3: 12, 5: 0 } }`. Counts are shown next to matching checkboxes, radios and select
+     *   options; zero-count options are disabled.
+     * @param {string|Element|boolean|null} [options.filterChips=null] - Element to render the active filter chips
+     *   into, or true to create one before the container.
+     * @param {string} [options.clearFiltersLabel='Clear all'] - Label of the chip that clears every filter.
+     * @param {number} [options.retries=0] - Automatic retries for network errors, timeouts and 5xx responses;
+     *   off unless set.
+     * @param {number} [options.retryDelay=500] - Delay in ms before the first retry; doubles on each retry, with jitter.
+     * @param {number} [options.maxRetryDelay=8000] - Upper bound for the retry delay.
+     * @param {number} [options.timeout=0] - Per-attempt request timeout in ms; 0 waits indefinitely.
+     * @param {string|null} [options.retryLabel='Retry'] - Label of the button added to the error block, which calls
+     *   refresh(). An element with `data-retry` inside the error block is used instead when present; null disables it.
+     * @param {boolean} [options.refetchOnReconnect=true] - Reload after a failed request once the browser is back online.
+     * @param {Object<string, string>} [options.errorMessages={}] - Messages by error kind: offline, timeout, network,
+     *   client (4xx, defaults to the server's message), server (5xx) and unknown. See RequestRetry.js.
      */
     constructor({
                     url,
@@ -47,12 +102,60 @@ export default class AjaxDivBox {
                     nothingFoundBlock = '.nothing-found-list',
                     errorBlock = '.list-render-error',
                     additionalParams = null,
+                    paginationAdapters = [],
+                    cursorParam = 'cursor',
+                    prevLabel = '« Previous',
+                    nextLabel = 'Next »',
+                    paginationMode = 'pages',
+                    loadMoreLabel = 'Load more',
+                    infiniteRootMargin = '200px',
+                    renderStrategy = 'replace',
+                    morphKey = 'data-key',
+                    enterClass = null,
+                    leaveClass = null,
+                    leaveDuration = 300,
+                    skeleton = false,
+                    skeletonTemplateId = null,
+                    skeletonCount = null,
+                    dimClass = 'opacity-50 pointer-events-none',
+                    views = null,
+                    defaultView = null,
+                    viewSwitcher = null,
+                    viewStorageKey = null,
+                    viewParam = 'view',
+                    presets = null,
+                    facetsKey = 'facets',
+                    filterChips = null,
+                    clearFiltersLabel = 'Clear all',
+                    retries = 0,
+                    retryDelay = 500,
+                    maxRetryDelay = 8000,
+                    timeout = 0,
+                    retryLabel = 'Retry',
+                    refetchOnReconnect = true,
+                    errorMessages = {},
                 }) {
         this.url = url;
-        this.config = { templateId, metaKey, dataKey, fetcher, onBox, additionalParams };
+        this.config = {
+            templateId, metaKey, dataKey, fetcher, onBox, additionalParams,
+            paginationAdapters, cursorParam, prevLabel, nextLabel,
+            paginationMode, loadMoreLabel, infiniteRootMargin,
+            renderStrategy, morphKey, enterClass, leaveClass, leaveDuration,
+            skeleton, skeletonTemplateId, skeletonCount, dimClass,
+            views, viewParam, facetsKey, clearFiltersLabel,
+            retries, retryDelay, maxRetryDelay, timeout, retryLabel, refetchOnReconnect, errorMessages
+        };
+        this.cursor = null;
         this.filters = {};
         this._handlers = {};
         this.debounceTimer = null;
+        this._requestSeq = 0;
+        this._controller = null;
+        this._observer = null;
+        this.loadingMore = false;
+        this.items = [];
+        this.view = null;
+        this._defaultView = null;
 
         // --- UPDATE: Centralized DOM element querying ---
         // Query all elements once and store them.
@@ -69,14 +172,46 @@ export default class AjaxDivBox {
             loader: getElement(loadingIndicator),
             nothingFound: getElement(nothingFoundBlock),
             error: getElement(errorBlock),
+            viewSwitcher: getElement(viewSwitcher),
+            chips: getElement(filterChips),
         };
 
         if (!this.elements.container) {
             throw new Error('AjaxDivBox: The main container element is required and was not found.');
         }
 
+        // Infinite and load more modes need somewhere to put the sentinel/button.
+        if (paginationMode !== 'pages' && !this.elements.pagination) {
+            const footer = document.createElement('div');
+            footer.className = 'ajax-div-box-more flex justify-center py-4 hidden';
+            this.elements.container.after(footer);
+            this.elements.pagination = footer;
+        }
+
+        if (filterChips === true) {
+            const chips = document.createElement('div');
+            chips.className = 'ajax-div-box-chips flex flex-wrap items-center gap-2 mb-4 hidden';
+            this.elements.container.before(chips);
+            this.elements.chips = chips;
+        }
+
+        if (views && Object.keys(views).length) {
+            this._viewStorageKey = viewStorageKey === false ? null
+                : viewStorageKey || `ajaxdivbox:view:${this.elements.container.id || window.location.pathname}`;
+            this._initViews(defaultView);
+        }
+
+        this.presets = presets ? new FilterPresets(this, presets === true ? {} : presets) : null;
+
         // --- UPDATE: Event listeners are bound once in the constructor ---
         this._bindFilterEvents();
+        this._bindChipEvents();
+        this._unbindConnection = bindConnectionEvents({
+            error: this.elements.error,
+            onRetry: () => this.refresh(),
+            onOffline: () => this._emit("offline", {}),
+            onOnline: () => this._handleOnline()
+        });
         if (this.config.autoInit !== false) {
             this.init();
         }
@@ -84,7 +219,8 @@ export default class AjaxDivBox {
 
     /**
      * Registers an event handler.
-     * @param {'start'|'rendered'|'error'|'pageChange'} event - The event name.
+     * @param {'start'|'rendered'|'error'|'aborted'|'retry'|'offline'|'online'|'pageChange'|'end'|'viewchange'|'presetapply'|'presetchange'|'preseterror'|'facets'|'filterremove'} event
+     *   The event name.
      * @param {Function} fn - The callback function.
      * @returns {this}
      */
@@ -110,16 +246,146 @@ export default class AjaxDivBox {
         if (this.elements.filters) {
             this._updateFilters();
         }
-        return this.fetchData(1);
+        if (!this.presets) return this.fetchData(1);
+
+        // The default preset has to be known before the first request.
+        return this.presets.load().then(() => {
+            this.presets.applyDefault();
+            return this.fetchData(1);
+        });
+    }
+
+    /**
+     * Writes values into the filter inputs and reloads the first page.
+     * @param {Object} values - Filter values keyed by input name. Inputs not listed are cleared.
+     * @param {Object} [options]
+     * @param {boolean} [options.fetch=true] - Whether to fetch after updating the filters.
+     * @returns {Promise<void>}
+     */
+    setFilters(values = {}, { fetch = true } = {}) {
+        if (this.elements.filters) {
+            // Disabled inputs are left out of the filters, so a preset could not select a zero-count option.
+            this._enableFacetOptions();
+            writeFilterInputs(this.elements.filters, values);
+            this._updateFilters();
+        } else {
+            this.filters = { ...values };
+        }
+        if (!fetch) return Promise.resolve();
+        return this.fetchData(1).then(() => this._scrollToTop());
+    }
+
+    /**
+     * Resets the filter form (or clears the filter inputs) and reloads the first page.
+     * @returns {Promise<void>}
+     */
+    clearFilters() {
+        const { filters } = this.elements;
+        if (filters?.tagName === 'FORM') filters.reset();
+        else writeFilterInputs(filters, {});
+        this._updateFilters();
+        return this.fetchData(1).then(() => this._scrollToTop());
+    }
+
+    /**
+     * Removes one filter value, e.g. a single checked category, and reloads the first page.
+     * @param {string} name - The input name.
+     * @param {string|null} [value=null] - The value to remove; all values of `name` when omitted.
+     * @returns {Promise<void>}
+     */
+    removeFilter(name, value = null) {
+        this._filterInputs(name).forEach(input => {
+            if (input.type === 'checkbox' || input.type === 'radio') {
+                if (value == null || input.value === String(value)) input.checked = false;
+            } else if (input.multiple) {
+                [...input.options].forEach(option => {
+                    if (value == null || option.value === String(value)) option.selected = false;
+                });
+            } else if (value == null || input.value === String(value)) {
+                input.value = '';
+            }
+        });
+        this._updateFilters();
+        this._emit("filterremove", { name, value });
+        return this.fetchData(1).then(() => this._scrollToTop());
     }
 
     /**
      * Refreshes the data using the current filters and page.
      */
     refresh() {
+        // Appended pages can't be refreshed one by one, so start over.
+        if (this.config.paginationMode !== 'pages') return this.fetchData(1);
+
         // UPDATE: More descriptive name than init() for a refresh action.
-        const currentPage = this.lastMeta?.current_page || 1;
-        return this.fetchData(currentPage);
+        const currentPage = this.lastPagination?.currentPage || this.lastMeta?.current_page || 1;
+        return this.fetchData(currentPage, { cursor: this.cursor });
+    }
+
+    /**
+     * Cancels the in-flight request, if any. The current content stays on screen.
+     */
+    abort() {
+        this._controller?.abort();
+    }
+
+    /**
+     * Cancels pending requests and timers, stops infinite scrolling and removes the window
+     * listeners. Call it before removing the list or re-initialising it on the same element.
+     */
+    destroy() {
+        this.abort();
+        this.presets?.abort();
+        clearTimeout(this.debounceTimer);
+        this._observer?.disconnect();
+        this._observer = null;
+        this._unbindConnection();
+    }
+
+    /**
+     * Appends the next page in 'infinite' and 'loadMore' modes.
+     * Does nothing while a page is loading or when the last page was reached.
+     * @returns {Promise<void>}
+     */
+    loadMore() {
+        const state = this.lastPagination;
+        if (this.loadingMore || this._controller || !state?.hasNext) return Promise.resolve();
+        return this.fetchData(state.next.page || 1, { cursor: state.next.cursor, append: true });
+    }
+
+    /**
+     * Whether an error comes from a cancelled fetch or axios request.
+     * @private
+     */
+    _isAbortError(err) {
+        return err?.name === 'AbortError' || err?.name === 'CanceledError' || !!window.axios?.isCancel?.(err);
+    }
+
+    /**
+     * Sends a JSON request with the configured fetcher and Laravel's CSRF header. Used for
+     * writes such as saving filter presets.
+     * @private
+     * @param {string} method
+     * @param {string} url
+     * @param {Object|null} [data=null]
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<*>} The parsed response body.
+     */
+    async _request(method, url, data = null, { signal } = {}) {
+        if (this.config.fetcher === 'axios') {
+            return (await window.axios({ url, method: method.toLowerCase(), data, signal })).data;
+        }
+
+        const headers = { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' };
+        const token = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content');
+        if (token) headers['X-CSRF-TOKEN'] = token;
+        if (data) headers['Content-Type'] = 'application/json';
+
+        const res = await fetch(url, { method: method.toUpperCase(), headers, body: data ? JSON.stringify(data) : undefined, signal });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw { response: { data: json, status: res.status } };
+        return json;
     }
 
     /**
@@ -136,7 +402,7 @@ export default class AjaxDivBox {
                 clearTimeout(this.debounceTimer);
                 this.debounceTimer = setTimeout(() => {
                     this._updateFilters();
-                    this.fetchData(1);
+                    this.fetchData(1).then(() => this._scrollToTop());
                 }, 300);
             }
         });
@@ -153,33 +419,71 @@ export default class AjaxDivBox {
         const formData = new FormData(this.elements.filters.tagName === 'FORM' ? this.elements.filters : undefined);
         if (this.elements.filters.tagName !== 'FORM') {
             this.elements.filters.querySelectorAll('input, select').forEach(input => {
-                if (input.name) formData.append(input.name, input.value);
+                if (!input.name || input.disabled) return;
+                if ((input.type === 'checkbox' || input.type === 'radio') && !input.checked) return;
+                if (input.multiple) {
+                    [...input.selectedOptions].forEach(option => formData.append(input.name, option.value));
+                } else {
+                    formData.append(input.name, input.value);
+                }
             });
         }
 
+        // Repeated names (checkbox groups, multiple selects) become arrays.
         for (const [key, value] of formData.entries()) {
-            if (value) this.filters[key] = value;
+            if (!value) continue;
+            if (key in this.filters) this.filters[key] = [].concat(this.filters[key], value);
+            else this.filters[key] = value;
         }
     }
 
+    /**
+     * Named filter inputs, optionally only those for one filter (`name` or `name[]`).
+     * @private
+     * @param {string|null} [name=null]
+     * @returns {Array<HTMLInputElement|HTMLSelectElement>}
+     */
+    _filterInputs(name = null) {
+        const root = this.elements.filters;
+        if (!root) return [];
+        return [...root.querySelectorAll('input[name], select[name]')]
+            .filter(input => name == null || input.name === name || input.name === `${name}[]`);
+    }
+
     /**
      * Constructs the query string from current filters and additional params.
      * @private
      */
     _buildQueryString(page = 1) {
-        let params = { ...this.filters, page };
+        let params = { ...this.filters };
+
+        // Cursor pagination replaces the page number.
+        if (this.cursor) params[this.config.cursorParam] = this.cursor;
+        else params.page = page;
+
+        // The default view needs no parameter, which keeps URLs and cache keys unchanged.
+        if (this.view && this.view !== this._defaultView && this.config.viewParam) {
+            params[this.config.viewParam] = this.view;
+        }
 
         if (typeof this.config.additionalParams === 'function') {
             params = { ...params, ...this.config.additionalParams() };
         }
 
-        return new URLSearchParams(Object.entries(params).filter(([, v]) => v !== '' && v != null)).toString();
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            [].concat(value).forEach(v => {
+                if (v !== '' && v != null) query.append(key, v);
+            });
+        });
+        return query.toString();
     }
 
     /**
      * Manages the visibility of elements based on the current state.
      * @private
-     * @param {'loading'|'content'|'error'|'empty'} state - The state to display.
+     * @param {'idle'|'loading'|'skeleton'|'content'|'error'|'empty'} state - The state to display. 'idle' hides
+     *   everything, as before the first load, and is not remembered as the last state.
      * @param {string} [errorMessage] - An optional error message.
      */
     _setState(state, errorMessage = 'An error occurred.') {
@@ -187,61 +491,222 @@ export default class AjaxDivBox {
         const all = [container, loader, nothingFound, error];
 
         all.forEach(el => el?.classList.add('hidden'));
+        if (!['loading', 'skeleton', 'idle'].includes(state)) this._lastState = state;
+        this._setDimmed(false);
 
         if (state === 'loading' && loader) loader.classList.remove('hidden');
-        else if (state === 'content' && container) container.classList.remove('hidden');
+        else if ((state === 'content' || state === 'skeleton') && container) container.classList.remove('hidden');
         else if (state === 'empty' && nothingFound) nothingFound.classList.remove('hidden');
         else if (state === 'error' && error) {
             error.classList.remove('hidden');
             const errorTextField = error.querySelector('.list-render-error-text') || error;
             errorTextField.textContent = errorMessage;
+            renderRetryButton(error, this.config.retryLabel);
+        }
+    }
+
+    /**
+     * Reloads after a failed request once the browser is back online: the failed next page,
+     * or the current one.
+     * @private
+     */
+    _handleOnline() {
+        const pending = this._reconnectPending;
+        this._emit("online", { refetch: !!pending && this.config.refetchOnReconnect });
+        if (!pending || !this.config.refetchOnReconnect) return;
+        this._reconnectPending = false;
+        if (pending.append) this.loadMore();
+        else this.refresh();
+    }
+
+    /**
+     * Shows the loading state: the loading element by default, or with `skeleton` either
+     * the dimmed current content (refresh) or skeleton boxes (nothing shown yet).
+     * @private
+     */
+    _showLoading() {
+        if (!this.config.skeleton) {
+            this._setState('loading');
+            return;
+        }
+
+        if (this._lastState === 'content' && this.elements.container.children.length) {
+            this._setDimmed(true);
+            return;
+        }
+
+        this._renderSkeletons();
+        this._setState('skeleton');
+        this.elements.container.setAttribute('aria-busy', 'true');
+    }
+
+    /**
+     * Toggles the dimmed "refreshing" look of the container.
+     * @private
+     * @param {boolean} dimmed
+     */
+    _setDimmed(dimmed) {
+        const { container } = this.elements;
+        const classes = String(this.config.dimClass || '').split(/\s+/).filter(Boolean);
+        classes.forEach(cls => container.classList.toggle(cls, dimmed));
+        if (dimmed) container.setAttribute('aria-busy', 'true');
+        else container.removeAttribute('aria-busy');
+    }
+
+    /**
+     * Fills the container with skeleton boxes.
+     * @private
+     */
+    _renderSkeletons() {
+        const { skeletonTemplateId, skeletonCount } = this.config;
+        const count = Math.max(parseInt(skeletonCount) || this._lastCount || 6, 1);
+        const tpl = skeletonTemplateId && document.getElementById(skeletonTemplateId);
+
+        let item = tpl ? tpl.innerHTML.trim() : '';
+        if (!item) {
+            const size = this._itemSize;
+            const style = size ? ` style="width:${size.width}px;max-width:100%;height:${size.height}px"` : '';
+            item = `<div class="skeleton${size ? '' : ' h-32 w-full'}"${style}></div>`;
+        }
+
+        this.elements.container.innerHTML = Array.from({ length: count }, () => item).join('');
+        [...this.elements.container.children].forEach(el => {
+            el.classList.add('ajax-div-box-skeleton');
+            el.setAttribute('aria-hidden', 'true');
+        });
+    }
+
+    /**
+     * Removes skeleton boxes left by a load that never rendered, e.g. an aborted first page.
+     * @private
+     */
+    _removeSkeletons() {
+        this.elements.container.querySelectorAll(':scope > .ajax-div-box-skeleton').forEach(el => el.remove());
+    }
+
+    /**
+     * Remembers the number and size of the rendered boxes for the next skeleton.
+     * @private
+     */
+    _rememberItemSize() {
+        if (!this.config.skeleton) return;
+        const items = [...this.elements.container.children].filter(el => !el.hasAttribute('data-morph-leaving'));
+        this._lastCount = items.length || this._lastCount;
+        if (this.config.skeletonTemplateId || !items[0]) return;
+
+        const rect = items[0].getBoundingClientRect();
+        if (rect.width && rect.height) this._itemSize = { width: Math.round(rect.width), height: Math.round(rect.height) };
+    }
+
+    /**
+     * Brings the start of the list back into view after the filters changed.
+     * @private
+     */
+    _scrollToTop() {
+        const { container } = this.elements;
+        if (container.scrollTop > 0) container.scrollTop = 0;
+        if (this.config.paginationMode !== 'pages' && container.getBoundingClientRect().top < 0) {
+            container.scrollIntoView({ block: 'start' });
         }
     }
 
     /**
      * Fetches data from the API endpoint.
      * @param {number} [page=1] - The page number to fetch.
+     * @param {Object} [options]
+     * @param {string|null} [options.cursor=null] - Cursor to send instead of the page (cursorPaginate).
+     * @param {boolean} [options.append=false] - Append the items instead of replacing the content.
      */
-    async fetchData(page = 1) {
-        this._setState('loading');
-        this._emit("start", { page });
+    async fetchData(page = 1, { cursor = null, append = false } = {}) {
+        this.cursor = cursor || null;
+
+        // Cancel the previous request so a slow response can't overwrite newer results.
+        this.abort();
+        const controller = new AbortController();
+        const seq = ++this._requestSeq;
+        this._controller = controller;
+
+        this.loadingMore = append;
+        if (append) {
+            this._renderLoadingMore();
+        } else {
+            this._observer?.disconnect();
+            this._showLoading();
+            this._renderFilterChips();
+        }
+        this._emit("start", { page, append });
 
         const endpoint = `${this.url.split('?')[0]}?${this._buildQueryString(page)}`;
+        const signal = controller.signal;
+        const { retries, retryDelay, maxRetryDelay, timeout } = this.config;
 
         try {
-            const response = this.config.fetcher === 'axios'
-                ? (await window.axios.get(endpoint)).data
-                : await (await fetch(endpoint, { headers: { 'Accept': 'application/json' } })).json();
+            const response = await withRetry(attemptSignal => this.config.fetcher === 'axios'
+                ? window.axios.get(endpoint, { signal: attemptSignal }).then(res => res.data)
+                : fetchJson(endpoint, { signal: attemptSignal }), {
+                retries, retryDelay, maxRetryDelay, timeout, signal,
+                onRetry: info => this._emit("retry", { page, append, ...info })
+            });
+
+            if (seq !== this._requestSeq) return; // A newer request has taken over
+            if (signal.aborted) throw new DOMException('Request aborted.', 'AbortError');
 
             if (response.ok === false) throw response; // Handle API-level errors
+            this._reconnectPending = false;
 
             const meta = response[this.config.metaKey] || {};
             this.lastMeta = meta; // Cache for refresh
+            this.lastPagination = resolvePagination(response, meta, this.config.paginationAdapters);
+            if (!append) this._renderFacets(meta[this.config.facetsKey]);
 
             // Check for pre-rendered HTML in the response
             if (response.html !== undefined && response.html !== null) {
                 // If API returns pre-rendered HTML, use it directly
-                this.elements.container.innerHTML = response.html;
-                this._renderPagination(meta);
+                if (append) this.elements.container.insertAdjacentHTML('beforeend', response.html);
+                else this._replaceContent(response.html);
+                this.items = null; // Server-rendered: a view switch has to refetch.
+                this._renderPagination(meta, this.lastPagination);
 
-                const hasContent = response.html.trim().length > 0;
+                const hasContent = append || response.html.trim().length > 0;
                 this._setState(hasContent ? 'content' : 'empty');
-                this._emit("rendered", { html: response.html, meta, page });
+                this._rememberItemSize();
+                this._emit("rendered", { html: response.html, meta, page, append });
             } else {
                 // Otherwise, use the standard template rendering
                 const data = response[this.config.dataKey] || [];
-                this._renderBoxes(data);
-                this._renderPagination(meta);
+                this.items = append && this.items ? [...this.items, ...data] : data;
+                this._renderBoxes(data, append);
+                this._renderPagination(meta, this.lastPagination);
 
-                this._setState(data.length > 0 ? 'content' : 'empty');
-                this._emit("rendered", { data, meta, page });
+                this._setState(append || data.length > 0 ? 'content' : 'empty');
+                this._rememberItemSize();
+                this._emit("rendered", { data, meta, page, append });
             }
 
         } catch (err) {
+            const superseded = seq !== this._requestSeq;
+            if (signal.aborted || this._isAbortError(err)) {
+                this._emit("aborted", { page, superseded });
+                if (!superseded) {
+                    this._removeSkeletons();
+                    // An aborted first load says nothing about the results, so don't claim there are none.
+                    this._setState(this._lastState || 'idle');
+                    if (append) this._renderLoadMore(this.lastPagination, true);
+                }
+                return;
+            }
+            if (superseded) return;
+
             console.error('AjaxDivBox fetch error:', err);
-            const message = err?.message || 'Failed to load data.';
-            this._setState('error', message);
-            this._emit("error", { error: err, message });
+            const { kind, status, message } = describeError(err, this.config.errorMessages);
+            this._reconnectPending = ['offline', 'network', 'timeout'].includes(kind) ? { append } : false;
+            // A failed next page keeps what is already shown and offers a retry button.
+            if (append) this._renderLoadMore(this.lastPagination, true);
+            else this._setState('error', message);
+            this._emit("error", { error: err, message, append, kind, status });
+        } finally {
+            if (this._controller === controller) this._controller = null;
+            if (seq === this._requestSeq) this.loadingMore = false;
         }
     }
 
@@ -249,9 +714,8 @@ export default class AjaxDivBox {
      * Renders the items into the container.
      * @private
      */
-    _renderBoxes(data) {
+    _renderBoxes(data, append = false) {
         if (!this.elements.container) return;
-        this.elements.container.innerHTML = ''; // Clear previous content
 
         const fragment = document.createDocumentFragment();
         data.forEach(item => {
@@ -263,7 +727,30 @@ export default class AjaxDivBox {
                 fragment.appendChild(tempDiv.firstChild);
             }
         });
-        this.elements.container.appendChild(fragment);
+
+        if (append) this.elements.container.appendChild(fragment);
+        else this._replaceContent(fragment);
+    }
+
+    /**
+     * Replaces the container's content, or morphs it with the 'morph' render strategy.
+     * @private
+     * @param {string|DocumentFragment} content
+     */
+    _replaceContent(content) {
+        const { container } = this.elements;
+        if (this.config.renderStrategy === 'morph') {
+            const { morphKey: key, enterClass, leaveClass, leaveDuration } = this.config;
+            morphChildren(container, content, { key, enterClass, leaveClass, leaveDuration });
+            return;
+        }
+
+        if (typeof content === 'string') {
+            container.innerHTML = content;
+        } else {
+            container.innerHTML = ''; // Clear previous content
+            container.appendChild(content);
+        }
     }
 
     /**
@@ -276,46 +763,346 @@ export default class AjaxDivBox {
             return item.html;
         }
 
-        if (typeof this.config.onBox === 'function') {
-            return this.config.onBox(item);
+        const view = this._viewConfig(this.view);
+        const onBox = view ? view.onBox : this.config.onBox;
+        const templateId = view?.templateId || this.config.templateId;
+
+        if (typeof onBox === 'function') {
+            return onBox(item);
         }
 
-        const tpl = document.getElementById(this.config.templateId);
+        const tpl = document.getElementById(templateId);
         if (!tpl) {
-            console.error(`Template with id "${this.config.templateId}" not found.`);
+            console.error(`Template with id "${templateId}" not found.`);
             return '';
         }
 
+        // Escaped {{ }} output, {!! !!} raw output, @if/@foreach and pipe formatters.
+        return TemplateEngine.render(tpl.innerHTML, item);
+    }
+
+    /**
+     * Switches to another view. Loaded items are re-rendered with the view's template;
+     * server-rendered (`html`) responses are fetched again with the `view` parameter.
+     * @param {string} name - A key of the `views` option.
+     * @returns {Promise<void>}
+     */
+    setView(name) {
+        if (!this._viewConfig(name) || name === this.view) return Promise.resolve();
+
+        const previous = this.view;
+        this._applyView(name);
+        if (this._viewStorageKey) {
+            try {
+                window.localStorage.setItem(this._viewStorageKey, name);
+            } catch (e) {
+                // Storage may be unavailable (private mode, quota); the view still switches.
+            }
+        }
+        if (this.items === null) {
+            this._emit("viewchange", { view: name, previous });
+            return this.refresh();
+        }
+        if (this._lastState === 'content' && this.items.length) {
+            this._renderBoxes(this.items);
+            this._rememberItemSize();
+        }
+        this._emit("viewchange", { view: name, previous });
+        return Promise.resolve();
+    }
+
+    /**
+     * Returns the active view name, or null when no views are configured.
+     * @returns {string|null}
+     */
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * Normalizes a `views` entry to `{ templateId, onBox, label, className }`.
+     * @private
+     * @param {string|null} name
+     * @returns {Object|null}
+     */
+    _viewConfig(name) {
+        const view = name != null ? this.config.views?.[name] : null;
+        if (!view) return null;
+        if (typeof view === 'string') return { templateId: view, onBox: null, label: name, className: '' };
+        if (typeof view === 'function') return { templateId: null, onBox: view, label: name, className: '' };
+        return { templateId: null, onBox: null, label: name, className: '', ...view };
+    }
+
+    /**
+     * Picks the stored, default or first view and renders the switcher.
+     * @private
+     * @param {string|null} defaultView
+     */
+    _initViews(defaultView) {
+        const names = Object.keys(this.config.views);
+        let stored = null;
+        try {
+            stored = this._viewStorageKey ? window.localStorage.getItem(this._viewStorageKey) : null;
+        } catch (e) {
+            stored = null;
+        }
+
+        this._defaultView = names.includes(defaultView) ? defaultView : names[0];
+        this._renderViewSwitcher();
+        this._applyView([stored, defaultView, names[0]].find(name => name && names.includes(name)));
+    }
+
+    /**
+     * Sets the active view, swaps the container classes and updates the switcher buttons.
+     * @private
+     * @param {string} name
+     */
+    _applyView(name) {
+        const split = (cls) => String(cls || '').split(/\s+/).filter(Boolean);
+        const { container, viewSwitcher } = this.elements;
+
+        container.classList.remove(...split(this._viewConfig(this.view)?.className));
+        this.view = name;
+        container.classList.add(...split(this._viewConfig(name)?.className));
+        container.dataset.view = name;
+
+        viewSwitcher?.querySelectorAll('[data-view]').forEach(btn => {
+            const active = btn.dataset.view === name;
+            btn.classList.toggle('btn-active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    /**
+     * Renders one button per view into the `viewSwitcher` element.
+     * @private
+     */
+    _renderViewSwitcher() {
+        const el = this.elements.viewSwitcher;
+        if (!el) return;
+
+        const join = document.createElement('div');
+        join.className = 'join';
+        join.setAttribute('role', 'group');
+        Object.keys(this.config.views).forEach(name => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'join-item btn btn-sm';
+            btn.dataset.view = name;
+            btn.textContent = this._viewConfig(name).label;
+            btn.onclick = (e) => {
+                e.preventDefault();
+                this.setView(name);
+            };
+            join.appendChild(btn);
+        });
+
+        el.innerHTML = '';
+        el.appendChild(join);
+    }
+
+    /**
+     * Shows the option counts from `meta.facets` in the filter form and disables zero-count options.
+     * Options missing from the counts are left as they are; checked ones are never disabled.
+     * @private
+     * @param {Object<string, Object<string, number>>|undefined} facets
+     */
+    _renderFacets(facets) {
+        const root = this.elements.filters;
+        if (!root) return;
+
+        // Undo the previous response's counts first, so filters dropped from `facets` don't keep stale ones.
+        root.querySelectorAll('.facet-count').forEach(el => el.remove());
+        this._enableFacetOptions();
+        root.querySelectorAll('option[data-facet-label]').forEach(option => {
+            option.textContent = option.dataset.facetLabel;
+            option.removeAttribute('data-facet-label');
+        });
+        if (!facets || typeof facets !== 'object') return;
+
+        Object.entries(facets).forEach(([name, counts]) => {
+            if (!counts || typeof counts !== 'object') return;
+            const has = (value) => Object.prototype.hasOwnProperty.call(counts, value);
+
+            this._filterInputs(name).forEach(input => {
+                if (input.tagName === 'SELECT') {
+                    [...input.options].forEach(option => {
+                        if (option.value === '' || !has(option.value)) return;
+                        const count = Number(counts[option.value]) || 0;
+                        option.dataset.facetLabel = option.textContent;
+                        option.textContent = `${option.textContent} (${count})`;
+                        if (count === 0 && !option.selected) {
+                            option.disabled = true;
+                            option.dataset.facetDisabled = '';
+                        }
+                    });
+                    return;
+                }
+                if ((input.type !== 'checkbox' && input.type !== 'radio') || !has(input.value)) return;
+
+                const count = Number(counts[input.value]) || 0;
+                const label = input.labels?.[0];
+                if (label) {
+                    const badge = document.createElement('span');
+                    badge.className = 'facet-count badge badge-ghost badge-sm ml-1';
+                    badge.textContent = count;
+                    label.appendChild(badge);
+                }
+                if (count === 0 && !input.checked) {
+                    input.disabled = true;
+                    input.dataset.facetDisabled = '';
+                }
+            });
+        });
+
+        this._emit("facets", { facets });
+    }
+
+    /**
+     * Re-enables the options disabled for a zero count.
+     * @private
+     */
+    _enableFacetOptions() {
+        this.elements.filters?.querySelectorAll('[data-facet-disabled]').forEach(el => {
+            el.disabled = false;
+            el.removeAttribute('data-facet-disabled');
+        });
+    }
 
-        let html = tpl.innerHTML;
+    /**
+     * Renders one removable chip per active filter value, plus a "clear all" chip.
+     * @private
+     */
+    _renderFilterChips() {
+        const el = this.elements.chips;
+        if (!el) return;
+        el.innerHTML = '';
 
-        // Replace nested object properties (e.g., data.user.name)
-        html = html.replace(/data\.([a-zA-Z0-9_]+\.[a-zA-Z0-9_]+)/g, (match, path) => {
-            const keys = path.split('.');
-            let value = item;
-            for (const key of keys) {
-                value = value?.[key];
-                if (value === undefined) break;
+        const chips = [];
+        this._filterInputs().forEach(input => {
+            if (input.disabled || input.type === 'hidden' || input.type === 'file' || input.type === 'submit') return;
+            const name = input.name.replace(/\[\]$/, '');
+            if (input.type === 'checkbox' || input.type === 'radio') {
+                if (input.checked && input.value) chips.push({ input, name, value: input.value, text: this._labelText(input) || input.value });
+            } else if (input.tagName === 'SELECT') {
+                [...input.selectedOptions].forEach(option => {
+                    if (option.value) chips.push({ input, name, value: option.value, text: option.dataset.facetLabel || option.textContent.trim() });
+                });
+            } else if (input.value) {
+                chips.push({ input, name, value: input.value, text: input.value });
             }
-            return value ?? '';
         });
 
-        // Replace simple properties (e.g., data.name)
-        html = html.replace(/data\.([a-zA-Z0-9_]+)/g, (_, key) => item[key] ?? '');
+        el.classList.toggle('hidden', chips.length === 0);
+        if (!chips.length) return;
+
+        chips.forEach(({ input, name, value, text }) => {
+            const chip = document.createElement('span');
+            chip.className = 'badge badge-outline gap-1 filter-chip';
+            const field = this._fieldLabel(input, name);
+            chip.textContent = field ? `${field}: ${text}` : text;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn-ghost btn-xs btn-circle';
+            remove.dataset.filterRemove = input.name;
+            remove.dataset.filterValue = value;
+            remove.setAttribute('aria-label', `Remove filter ${chip.textContent}`);
+            remove.textContent = '✕';
+            chip.appendChild(remove);
+            el.appendChild(chip);
+        });
+
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'btn btn-ghost btn-xs';
+        clear.dataset.filterClear = '';
+        clear.textContent = this.config.clearFiltersLabel;
+        el.appendChild(clear);
+    }
+
+    /**
+     * Handles the chip remove and "clear all" buttons.
+     * @private
+     */
+    _bindChipEvents() {
+        const el = this.elements.chips;
+        if (!el) return;
+
+        el.addEventListener('click', e => {
+            const btn = e.target.closest('button');
+            if (!btn || !el.contains(btn)) return;
+            e.preventDefault();
+            clearTimeout(this.debounceTimer);
+            if (btn.matches('[data-filter-clear]')) this.clearFilters();
+            else if (btn.matches('[data-filter-remove]')) this.removeFilter(btn.dataset.filterRemove, btn.dataset.filterValue);
+        });
+    }
+
+    /**
+     * Text of an input's label without the facet count or nested controls.
+     * @private
+     * @param {HTMLInputElement} input
+     * @returns {string}
+     */
+    _labelText(input) {
+        const label = input.labels?.[0];
+        if (!label) return '';
+        const copy = label.cloneNode(true);
+        copy.querySelectorAll('.facet-count, input, select, textarea').forEach(node => node.remove());
+        return copy.textContent.replace(/\s+/g, ' ').trim();
+    }
 
-        return html;
+    /**
+     * Name of the filter a chip belongs to: `data-filter-label`, the fieldset legend,
+     * or the label of a text input/select. Empty for checkboxes/radios without one.
+     * @private
+     * @param {HTMLInputElement|HTMLSelectElement} input
+     * @param {string} name
+     * @returns {string}
+     */
+    _fieldLabel(input, name) {
+        if (input.dataset.filterLabel) return input.dataset.filterLabel;
+        const legend = input.closest('fieldset')?.querySelector('legend');
+        if (legend) return legend.textContent.trim();
+        if (input.type === 'checkbox' || input.type === 'radio') return '';
+        return this._labelText(input) || name;
     }
 
     /**
-     * Renders pagination links based on metadata.
+     * Renders pagination links based on metadata. Numbered links for length-aware
+     * paginators, previous/next buttons for simple and cursor paginators.
      * @private
+     * @param {Object} meta - The response metadata.
+     * @param {Object|null} [state=null] - Pagination state from resolvePagination().
      */
-    _renderPagination(meta) {
+    _renderPagination(meta, state = null) {
         const pagEl = this.elements.pagination;
         if (!pagEl) return;
 
+        if (this.config.paginationMode !== 'pages') {
+            this._renderLoadMore(state);
+            return;
+        }
+
         pagEl.innerHTML = '';
-        if (!meta?.links || meta.last_page <= 1) {
+
+        if (state && state.type !== 'length') {
+            if (!state.hasPrev && !state.hasNext) {
+                pagEl.classList.add('hidden');
+                return;
+            }
+            pagEl.classList.remove('hidden');
+            pagEl.appendChild(renderPrevNext(state, (target, rel) => {
+                this._emit("pageChange", { page: target.page ?? null, cursor: target.cursor ?? null, label: rel });
+                this.fetchData(target.page || 1, { cursor: target.cursor });
+            }, { prevLabel: this.config.prevLabel, nextLabel: this.config.nextLabel }));
+            return;
+        }
+
+        const links = state?.links || meta?.links;
+        const lastPage = state?.lastPage ?? meta?.last_page;
+        if (!links || lastPage <= 1) {
             pagEl.classList.add('hidden');
             return;
         }
@@ -323,7 +1110,7 @@ export default class AjaxDivBox {
         pagEl.classList.remove('hidden');
 
         const fragment = document.createDocumentFragment();
-        meta.links.forEach(link => {
+        links.forEach(link => {
             const pageNum = new URL(link.url || '', window.location.origin).searchParams.get('page');
 
             if (link.label.includes('...')) {
@@ -354,4 +1141,62 @@ export default class AjaxDivBox {
         joinDiv.appendChild(fragment);
         pagEl.appendChild(joinDiv);
     }
+
+    /**
+     * Renders the load more button, or the sentinel that triggers the next page in infinite mode.
+     * Hides the controls and emits 'end' once there are no more pages.
+     * @private
+     * @param {Object|null} state - Pagination state from resolvePagination().
+     * @param {boolean} [retry=false] - Show a button even in infinite mode, e.g. after a failed request.
+     */
+    _renderLoadMore(state, retry = false) {
+        const pagEl = this.elements.pagination;
+        this._observer?.disconnect();
+        pagEl.innerHTML = '';
+
+        if (!state?.hasNext) {
+            pagEl.classList.add('hidden');
+            if (state) this._emit("end", { meta: this.lastMeta });
+            return;
+        }
+        pagEl.classList.remove('hidden');
+
+        if (this.config.paginationMode === 'infinite' && !retry && typeof IntersectionObserver !== 'undefined') {
+            const sentinel = document.createElement('div');
+            sentinel.className = 'ajax-div-box-sentinel h-px';
+            sentinel.setAttribute('aria-hidden', 'true');
+            pagEl.appendChild(sentinel);
+
+            // A fresh sentinel reports its initial intersection, so short pages keep loading until the viewport is full.
+            if (!this._observer) {
+                this._observer = new IntersectionObserver(entries => {
+                    if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+                }, { rootMargin: this.config.infiniteRootMargin });
+            }
+            this._observer.observe(sentinel);
+            return;
+        }
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-outline ajax-div-box-load-more';
+        btn.textContent = this.config.loadMoreLabel;
+        btn.onclick = (e) => {
+            e.preventDefault();
+            this.loadMore();
+        };
+        pagEl.appendChild(btn);
+    }
+
+    /**
+     * Shows a spinner in place of the load more controls while the next page loads.
+     * @private
+     */
+    _renderLoadingMore() {
+        const pagEl = this.elements.pagination;
+        if (!pagEl) return;
+        this._observer?.disconnect();
+        pagEl.innerHTML = '<span class="loading loading-spinner loading-md" role="status" aria-label="Loading"></span>';
+        pagEl.classList.remove('hidden');
+    }
 }
@@ -1,3 +1,10 @@
+import { buildCsv, buildXlsx, downloadBlob } from './TableExport.js';
+import { resolvePagination, renderPrevNext } from './PaginationAdapters.js';
+import TemplateEngine from './TemplateEngine.js';
+import { subscribe } from './BroadcastAdapter.js';
+import FilterPresets, { writeFilterInputs } from './FilterPresets.js';
+import { withRetry, fetchJson, describeError, renderRetryButton, bindConnectionEvents } from './RequestRetry.js';
+
 export default class AjaxTable {
     constructor({
         url,
@@ -14,11 +21,120 @@ export default class AjaxTable {
         errorBlock = '.table-render-error',
         additionalParams = null,
         autoInit = true,
-        debounceTime = 300
+        debounceTime = 300,
+        sortParam = 'sort',
+        directionParam = 'direction',
+        sortFormat = 'separate',
+        multiSort = true,
+        defaultSort = null,
+        selectable = false,
+        rowKey = 'id',
+        bulkToolbar = null,
+        bulkUrl = null,
+        bulkIdsKey = 'ids',
+        syncUrl = false,
+        urlPrefix = '',
+        mode = 'server',
+        data = null,
+        perPage = 15,
+        filterPredicates = {},
+        editUrl = null,
+        editMethod = 'PATCH',
+        exportColumns = null,
+        exportFilename = 'export',
+        columns = null,
+        columnMenu = null,
+        columnMenuLabel = 'Columns',
+        columnsUrl = null,
+        tableId = null,
+        cache = false,
+        cacheTtl = 60000,
+        cacheMaxEntries = 20,
+        cacheStorage = 'memory',
+        prefetch = true,
+        paginationAdapters = [],
+        cursorParam = 'cursor',
+        prevLabel = '« Previous',
+        nextLabel = 'Next »',
+        perPageOptions = null,
+        perPageSelector = null,
+        perPageParam = 'per_page',
+        perPageLabel = 'Per page',
+        jumpToPage = null,
+        jumpLabel = 'Go',
+        summary = null,
+        summaryTemplate = null,
+        detailTemplateId = null,
+        onDetail = null,
+        singleExpand = false,
+        poll = 0,
+        pollIdle = 5000,
+        echo = null,
+        broadcast = null,
+        highlightClass = 'bg-warning/20',
+        highlightDuration = 2000,
+        virtualScroll = false,
+        rowHeight = 40,
+        overscan = 10,
+        scrollHeight = 600,
+        scrollContainer = null,
+        reorderable = false,
+        reorderUrl = null,
+        reorderMethod = 'POST',
+        reorderPayload = 'ids',
+        reorderIdsKey = 'ids',
+        skeleton = false,
+        skeletonTemplateId = null,
+        skeletonCount = null,
+        dimClass = 'opacity-50 pointer-events-none',
+        presets = null,
+        retries = 0,
+        retryDelay = 500,
+        maxRetryDelay = 8000,
+        timeout = 0,
+        retryLabel = 'Retry',
+        refetchOnReconnect = true,
+        errorMessages = {}
     }) {
         this.url = url;
-        this.config = { templateId, metaKey, dataKey, fetcher, onRow, additionalParams, debounceTime };
+        this.config = {
+            templateId, metaKey, dataKey, fetcher, onRow, additionalParams, debounceTime,
+            sortParam, directionParam, sortFormat, multiSort,
+            selectable, rowKey, bulkUrl, bulkIdsKey, syncUrl, urlPrefix,
+            mode: Array.isArray(data) ? 'client' : mode, perPage, filterPredicates,
+            editUrl, editMethod, exportColumns, exportFilename,
+            columnMenuLabel, columnsUrl,
+            cache, cacheTtl, cacheMaxEntries, cacheStorage, prefetch,
+            paginationAdapters, cursorParam, prevLabel, nextLabel,
+            perPageOptions, perPageParam, perPageLabel, jumpLabel, summaryTemplate,
+            detailTemplateId, onDetail, singleExpand,
+            poll, pollIdle, echo, highlightClass, highlightDuration,
+            virtualScroll, overscan, scrollHeight,
+            reorderable, reorderUrl, reorderMethod, reorderPayload, reorderIdsKey,
+            skeleton, skeletonTemplateId, skeletonCount, dimClass,
+            retries, retryDelay, maxRetryDelay, timeout, retryLabel, refetchOnReconnect, errorMessages
+        };
+        this.clientData = Array.isArray(data) ? data : null;
         this.filters = {};
+        this.sort = this._normalizeSort(defaultSort);
+        this._defaultSort = this.sort.map(entry => ({ ...entry }));
+        this.cursor = null;
+        this.perPage = Math.max(parseInt(perPage) || 15, 1);
+        this.rows = [];
+        this.selection = new Set();
+        this.selectionExcluded = new Set();
+        this.allMatchingSelected = false;
+        this._rowData = new WeakMap();
+        this.expanded = new Set();
+        this._detailCache = new Map();
+        this._detailRows = new Map();
+        this._requestSeq = 0;
+        this._controller = null;
+        this._cache = new Map();
+        this._pollTimer = null;
+        this._lastInteraction = 0;
+        this._subscriptions = [];
+        this._teardown = [];
         this._handlers = {};
         this.debounceTimer = null;
 
@@ -33,13 +149,41 @@ export default class AjaxTable {
             loader: getEl(loadingIndicator),
             nothingFound: getEl(nothingFoundBlock),
             error: getEl(errorBlock),
+            bulkToolbar: getEl(bulkToolbar),
+            columnMenu: getEl(columnMenu),
+            perPage: getEl(perPageSelector),
+            jump: getEl(jumpToPage),
+            summary: getEl(summary),
+            scroller: getEl(scrollContainer),
         };
 
         if (!this.elements.table || !this.elements.tbody) {
             throw new Error('AjaxTable: Table or tbody element not found.');
         }
 
+        this.tableId = tableId || this.elements.table.id || this.elements.container.id || null;
+        this._initColumns(columns);
+        if (cache) this._cacheLoad();
+        this._bindPageControls();
+
         this._bindFilterEvents();
+        this._bindSortEvents();
+        this._renderSortIndicators();
+        if (selectable) this._bindSelectionEvents();
+        if (syncUrl) this._bindHistoryEvents();
+        this._bindEditEvents();
+        this._bindDetailEvents();
+        this._bindInteractionEvents();
+        this._teardown.push(bindConnectionEvents({
+            error: this.elements.error,
+            onRetry: () => this.refresh(),
+            onOffline: () => this._emit('offline', {}),
+            onOnline: () => this._handleOnline()
+        }));
+        if (virtualScroll) this._initVirtualScroll(rowHeight);
+        if (reorderable) this._bindReorderEvents();
+        this.presets = presets ? new FilterPresets(this, presets === true ? {} : presets) : null;
+        [].concat(broadcast || []).forEach(options => this.listen(options));
 
         if (autoInit) this.init();
     }
@@ -55,13 +199,132 @@ export default class AjaxTable {
     }
 
     init() {
+        // Polling starts with the first load, so `autoInit: false` tables stay quiet until then.
+        if (this.config.poll > 0 && !this._onVisibilityChange) this.startPolling();
+
+        let page = 1;
+        if (this.config.syncUrl) {
+            page = this._restoreUrlState();
+            this._historyMode = 'replace';
+        }
         if (this.elements.filters) this._updateFilters();
+        if (!this.presets) return this.fetchData(page, { cursor: this.cursor });
+
+        // The default preset has to be known before the first request; URL filters take precedence.
+        return this.presets.load().then(() => {
+            if (this.presets.applyDefault()) {
+                page = 1;
+                this.cursor = null;
+            }
+            return this.fetchData(page, { cursor: this.cursor });
+        });
+    }
+
+    /**
+     * Writes values into the filter inputs and reloads the first page.
+     * Inputs not listed in `values` are cleared.
+     */
+    setFilters(values = {}, { fetch = true } = {}) {
+        if (this.elements.filters) {
+            writeFilterInputs(this.elements.filters, values);
+            this._updateFilters();
+        } else {
+            this.filters = { ...values };
+        }
+        if (!fetch) return Promise.resolve();
+        if (this.allMatchingSelected) this.clearSelection();
         return this.fetchData(1);
     }
 
-    refresh() {
-        const currentPage = this.lastMeta?.current_page || 1;
-        return this.fetchData(currentPage);
+    /**
+     * Reloads the current page. With `silent` the loader is skipped, errors keep the
+     * current rows on screen and an unchanged response is not re-rendered.
+     */
+    refresh({ silent = false } = {}) {
+        const currentPage = this.lastPagination?.currentPage || this.lastMeta?.current_page || 1;
+        this._historyMode = 'replace';
+        return this.fetchData(currentPage, { cursor: this.cursor, silent });
+    }
+
+    _urlKey(key) {
+        return `${this.config.urlPrefix}${key}`;
+    }
+
+    _urlManagedKeys() {
+        const keys = new Set([
+            'page', this.config.cursorParam, this.config.perPageParam, this.config.sortParam, this.config.directionParam
+        ]);
+        this.elements.filters?.querySelectorAll('input[name], select[name]').forEach(input => keys.add(input.name));
+        return [...keys].map(key => this._urlKey(key));
+    }
+
+    _bindHistoryEvents() {
+        this._addListener(window, 'popstate', () => {
+            const page = this._restoreUrlState();
+            if (this.elements.filters) this._updateFilters();
+            this._historyMode = 'none';
+            this.fetchData(page, { cursor: this.cursor });
+        });
+    }
+
+    /**
+     * Copies filter, sort, cursor and page values from `location.search` into the table.
+     * Returns the page number found in the URL.
+     */
+    _restoreUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const { sortParam, directionParam, sortFormat } = this.config;
+
+        this.elements.filters?.querySelectorAll('input[name], select[name]').forEach(input => {
+            const values = params.getAll(this._urlKey(input.name));
+            if (input.type === 'checkbox' || input.type === 'radio') {
+                input.checked = values.includes(input.value);
+            } else if (input.type !== 'file') {
+                input.value = values[values.length - 1] ?? '';
+            }
+        });
+
+        const sort = params.get(this._urlKey(sortParam));
+        if (sort && sortFormat !== 'combined') {
+            const directions = (params.get(this._urlKey(directionParam)) || '').split(',');
+            this.sort = this._normalizeSort(sort.split(',').map((column, i) => ({ column, direction: directions[i] })));
+        } else if (sort) {
+            this.sort = this._normalizeSort(sort);
+        } else {
+            // No sort in the URL means the table's default order, e.g. after Back to the first visit.
+            this.sort = this._defaultSort.map(entry => ({ ...entry }));
+        }
+        this._renderSortIndicators();
+        this.cursor = params.get(this._urlKey(this.config.cursorParam));
+        const perPage = parseInt(params.get(this._urlKey(this.config.perPageParam)));
+        if (this.config.perPageOptions && perPage > 0) this.perPage = perPage;
+
+        return Math.max(parseInt(params.get(this._urlKey('page'))) || 1, 1);
+    }
+
+    _writeUrlState(page) {
+        const mode = this._historyMode || 'push';
+        this._historyMode = null;
+        if (mode === 'none') return;
+
+        const params = new URLSearchParams(window.location.search);
+        this._urlManagedKeys().forEach(key => params.delete(key));
+
+        const state = { ...this.filters, ...this._sortParams() };
+        if (this.cursor) state[this.config.cursorParam] = this.cursor;
+        else if (parseInt(page) > 1) state.page = page;
+        if (this.config.perPageOptions && Number(this.perPage) !== Number(this.config.perPage)) {
+            state[this.config.perPageParam] = this.perPage;
+        }
+        Object.entries(state).forEach(([key, value]) => {
+            if (value != null && value !== '') params.set(this._urlKey(key), value);
+        });
+
+        const search = params.toString();
+        if (`?${search}` === window.location.search || (!search && !window.location.search)) return;
+
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        window.history[mode === 'replace' ? 'replaceState' : 'pushState'](window.history.state, '', url);
     }
 
     _bindFilterEvents() {
@@ -71,6 +334,7 @@ export default class AjaxTable {
             clearTimeout(this.debounceTimer);
             this.debounceTimer = setTimeout(() => {
                 this._updateFilters();
+                if (this.allMatchingSelected) this.clearSelection();
                 this.fetchData(1);
             }, this.config.debounceTime);
         };
@@ -85,117 +349,2026 @@ export default class AjaxTable {
         });
     }
 
-    _updateFilters() {
-        this.filters = {};
-        const formData = new FormData(this.elements.filters.tagName === 'FORM' ? this.elements.filters : undefined);
-        if (this.elements.filters.tagName !== 'FORM') {
-            this.elements.filters.querySelectorAll('input, select').forEach(input => {
-                if (input.name) formData.append(input.name, input.value);
-            });
+    /**
+     * Sets the sort state and reloads the first page.
+     * Accepts `'-created_at,name'`, `[{ column, direction }]` or null to clear.
+     */
+    setSort(sort, { fetch = true } = {}) {
+        this.sort = this._normalizeSort(sort);
+        this._renderSortIndicators();
+        this._emit('sortchange', { sort: this.getSort() });
+        return fetch ? this.fetchData(1) : Promise.resolve();
+    }
+
+    getSort() {
+        return this.sort.map(s => ({ ...s }));
+    }
+
+    _normalizeSort(sort) {
+        if (!sort) return [];
+        const list = typeof sort === 'string' ? sort.split(',') : (Array.isArray(sort) ? sort : [sort]);
+        return list.map(item => {
+            if (typeof item === 'string') {
+                const column = item.trim().replace(/^-/, '');
+                return column ? { column, direction: item.trim().startsWith('-') ? 'desc' : 'asc' } : null;
+            }
+            if (!item?.column) return null;
+            return { column: item.column, direction: item.direction === 'desc' ? 'desc' : 'asc' };
+        }).filter(Boolean);
+    }
+
+    _bindSortEvents() {
+        const thead = this.elements.table.querySelector('thead');
+        if (!thead) return;
+
+        thead.querySelectorAll('th[data-sort]').forEach(th => {
+            if (!th.hasAttribute('tabindex')) th.tabIndex = 0;
+            th.classList.add('cursor-pointer', 'select-none');
+        });
+
+        thead.addEventListener('click', e => {
+            const th = e.target.closest('th[data-sort]');
+            if (th) this._toggleSort(th.dataset.sort, e.shiftKey);
+        });
+
+        thead.addEventListener('keydown', e => {
+            const th = e.target.closest('th[data-sort]');
+            if (!th || (e.key !== 'Enter' && e.key !== ' ')) return;
+            e.preventDefault();
+            this._toggleSort(th.dataset.sort, e.shiftKey);
+        });
+    }
+
+    _toggleSort(column, additive = false) {
+        const next = { asc: 'desc', desc: null };
+        const current = this.sort.find(s => s.column === column);
+        const direction = current ? next[current.direction] : 'asc';
+
+        let sort;
+        if (additive && this.config.multiSort) {
+            sort = current
+                ? this.sort.map(s => s.column === column ? { column, direction } : s).filter(s => s.direction)
+                : [...this.sort, { column, direction }];
+        } else {
+            sort = direction ? [{ column, direction }] : [];
         }
-        for (const [key, value] of formData.entries()) {
-            if (value) this.filters[key] = value;
+        return this.setSort(sort);
+    }
+
+    _renderSortIndicators() {
+        const thead = this.elements.table.querySelector('thead');
+        if (!thead) return;
+
+        thead.querySelectorAll('th[data-sort]').forEach(th => {
+            const index = this.sort.findIndex(s => s.column === th.dataset.sort);
+            const active = this.sort[index];
+
+            let indicator = th.querySelector('.sort-indicator');
+            if (!indicator) {
+                indicator = document.createElement('span');
+                indicator.className = 'sort-indicator ml-1 opacity-60';
+                th.appendChild(indicator);
+            }
+
+            th.setAttribute('aria-sort', active ? (active.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            th.classList.toggle('sorted', !!active);
+            if (active) th.dataset.sortDirection = active.direction;
+            else delete th.dataset.sortDirection;
+
+            indicator.textContent = active
+                ? `${active.direction === 'asc' ? '▲' : '▼'}${this.sort.length > 1 ? index + 1 : ''}`
+                : '';
+        });
+    }
+
+    _sortParams() {
+        if (!this.sort.length) return {};
+        const { sortParam, directionParam, sortFormat } = this.config;
+
+        if (sortFormat === 'combined') {
+            return { [sortParam]: this.sort.map(s => (s.direction === 'desc' ? '-' : '') + s.column).join(',') };
         }
+        return {
+            [sortParam]: this.sort.map(s => s.column).join(','),
+            [directionParam]: this.sort.map(s => s.direction).join(',')
+        };
     }
 
-    _buildQueryString(page = 1) {
-        let params = { ...this.filters, page };
-        if (typeof this.config.additionalParams === 'function') {
-            params = { ...params, ...this.config.additionalParams() };
+    /**
+     * Returns the IDs of the selected rows. When every matching result is selected,
+     * only the rows loaded so far are known here; use getSelection() for the full state.
+     */
+    getSelectedIds() {
+        return [...this.selection];
+    }
+
+    getSelection() {
+        const total = this.lastMeta?.total ?? this.selection.size;
+        return {
+            ids: this.getSelectedIds(),
+            all: this.allMatchingSelected,
+            except: [...this.selectionExcluded],
+            count: this.allMatchingSelected ? Math.max(total - this.selectionExcluded.size, 0) : this.selection.size
+        };
+    }
+
+    clearSelection() {
+        this.selection.clear();
+        this.selectionExcluded.clear();
+        this.allMatchingSelected = false;
+        this._syncSelectionUI();
+        this._emitSelectionChange();
+    }
+
+    selectAllMatching() {
+        this.allMatchingSelected = true;
+        this.selectionExcluded.clear();
+        this._pageRowIds().forEach(id => this.selection.add(id));
+        this._syncSelectionUI();
+        this._emitSelectionChange();
+    }
+
+    _rowId(row) {
+        const id = row?.[this.config.rowKey];
+        return id == null ? null : String(id);
+    }
+
+    _pageRowIds() {
+        return this.rows.map(row => this._rowId(row)).filter(id => id !== null);
+    }
+
+    _bindSelectionEvents() {
+        const thead = this.elements.table.querySelector('thead tr');
+        if (thead && !thead.querySelector('.select-all')) {
+            const th = document.createElement('th');
+            th.className = 'w-8';
+            th.innerHTML = '<input type="checkbox" class="checkbox checkbox-sm select-all" aria-label="Select all">';
+            thead.prepend(th);
         }
-        return new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== '')).toString();
+
+        this.elements.table.addEventListener('change', e => {
+            if (e.target.matches('.select-all')) {
+                this._setPageSelected(e.target.checked);
+            } else if (e.target.matches('.row-select')) {
+                const id = e.target.closest('tr')?.dataset.id;
+                if (id !== undefined) this._setRowSelected(id, e.target.checked);
+            }
+        });
+
+        const toolbar = this.elements.bulkToolbar;
+        if (!toolbar) return;
+
+        toolbar.addEventListener('click', e => {
+            if (e.target.closest('.bulk-select-all')) {
+                e.preventDefault();
+                this.selectAllMatching();
+            } else if (e.target.closest('.bulk-clear')) {
+                e.preventDefault();
+                this.clearSelection();
+            } else {
+                const btn = e.target.closest('[data-bulk-action]');
+                if (!btn) return;
+                e.preventDefault();
+                this.runBulkAction(btn.dataset.bulkAction, {
+                    url: btn.dataset.url,
+                    method: btn.dataset.method,
+                    confirm: btn.dataset.confirm,
+                    button: btn
+                }).catch(() => {}); // Failures are reported through 'bulkerror'.
+            }
+        });
+        this._syncSelectionUI();
     }
 
-    _setState(state, errorMessage = 'An error occurred.') {
-        const { container, loader, nothingFound, error } = this.elements;
-        const all = [container, loader, nothingFound, error];
-        all.forEach(el => el?.classList.add('hidden'));
+    _setRowSelected(id, checked) {
+        if (checked) {
+            this.selection.add(id);
+            this.selectionExcluded.delete(id);
+        } else {
+            this.selection.delete(id);
+            if (this.allMatchingSelected) this.selectionExcluded.add(id);
+        }
+        this._syncSelectionUI();
+        this._emitSelectionChange();
+    }
 
-        if (state === 'loading' && loader) loader.classList.remove('hidden');
-        else if (state === 'content' && container) container.classList.remove('hidden');
-        else if (state === 'empty' && nothingFound) nothingFound.classList.remove('hidden');
-        else if (state === 'error' && error) {
-            error.classList.remove('hidden');
-            const errorTextField = error.querySelector('.table-render-error-text') || error;
-            errorTextField.textContent = errorMessage;
+    _setPageSelected(checked) {
+        this._pageRowIds().forEach(id => {
+            if (checked) {
+                this.selection.add(id);
+                this.selectionExcluded.delete(id);
+            } else {
+                this.selection.delete(id);
+                if (this.allMatchingSelected) this.selectionExcluded.add(id);
+            }
+        });
+        this._syncSelectionUI();
+        this._emitSelectionChange();
+    }
+
+    _decorateSelectableRow(tr, row) {
+        const id = this._rowId(row);
+        if (id === null) return;
+
+        let checkbox = tr.querySelector('.row-select');
+        if (!checkbox) {
+            const td = document.createElement('td');
+            td.innerHTML = '<input type="checkbox" class="checkbox checkbox-sm row-select" aria-label="Select row">';
+            tr.prepend(td);
+            checkbox = td.firstChild;
         }
+
+        if (this.allMatchingSelected && !this.selectionExcluded.has(id)) this.selection.add(id);
+        checkbox.checked = this.selection.has(id);
     }
 
-    async fetchData(page = 1) {
-        this._setState('loading');
-        this._emit('start', { page });
-        const pagEl = this.elements.pagination;
-        if (pagEl) {
-            pagEl.innerHTML = '';
-            pagEl.classList.add('hidden');
+    _syncSelectionUI() {
+        if (!this.config.selectable) return;
+
+        const pageIds = this._pageRowIds();
+        const selectedOnPage = pageIds.filter(id => this.selection.has(id)).length;
+        const selectAll = this.elements.table.querySelector('.select-all');
+        if (selectAll) {
+            selectAll.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+            selectAll.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
         }
-        const endpoint = `${this.url.split('?')[0]}?${this._buildQueryString(page)}`;
 
-        try {
-            const response = this.config.fetcher === 'axios'
-                ? (await window.axios.get(endpoint)).data
-                : await (await fetch(endpoint)).json();
+        this.elements.tbody.querySelectorAll('tr[data-id]').forEach(tr => {
+            const checkbox = tr.querySelector('.row-select');
+            if (checkbox) checkbox.checked = this.selection.has(tr.dataset.id);
+            tr.classList.toggle('selected', this.selection.has(tr.dataset.id));
+        });
 
-            const meta = response[this.config.metaKey] || {};
-            this.lastMeta = meta;
+        const toolbar = this.elements.bulkToolbar;
+        if (!toolbar) return;
 
-            const data = response[this.config.dataKey] || [];
+        const { count } = this.getSelection();
+        const total = this.lastMeta?.total;
+        toolbar.classList.toggle('hidden', count === 0);
 
-            this._renderRows(data);
-            this._renderPagination(meta);
+        const countEl = toolbar.querySelector('.bulk-count');
+        if (countEl) countEl.textContent = count;
+
+        const selectAllMatching = toolbar.querySelector('.bulk-select-all');
+        if (selectAllMatching) {
+            const canSelectAll = !this.allMatchingSelected && total > pageIds.length
+                && pageIds.length > 0 && selectedOnPage === pageIds.length;
+            selectAllMatching.classList.toggle('hidden', !canSelectAll);
+            const totalEl = selectAllMatching.querySelector('.bulk-total');
+            if (totalEl) totalEl.textContent = total;
+        }
+    }
+
+    _emitSelectionChange() {
+        this._emit('selectionchange', this.getSelection());
+    }
+
+    /**
+     * Sends the current selection to the bulk endpoint. Selecting every matching
+     * result sends `{ all: true, except, filters }` instead of the ID list.
+     */
+    async runBulkAction(action, { url = null, method = 'POST', confirm = null, button = null } = {}) {
+        const selection = this.getSelection();
+        if (selection.count === 0) return null;
+        if (confirm && !window.confirm(confirm)) return null;
+
+        const endpoint = url || this.config.bulkUrl;
+        if (!endpoint) {
+            const error = new Error('AjaxTable: No bulk action URL configured.');
+            this._emit('bulkerror', { action, selection, error, message: error.message });
+            throw error;
+        }
 
-            this._setState(data.length > 0 ? 'content' : 'empty');
-            this._emit('rendered', { data, meta, page });
+        const payload = selection.all
+            ? { action, all: true, except: selection.except, filters: { ...this.filters, ...this._sortParams() } }
+            : { action, [this.config.bulkIdsKey]: selection.ids };
 
+        if (button) button.disabled = true;
+        try {
+            const response = await this._request(method || 'POST', endpoint, payload);
+            if (this.config.cache) this.invalidate();
+            this._emit('bulkaction', { action, selection, response });
+            this.clearSelection();
+            await this.refresh();
+            return response;
         } catch (err) {
-            console.error('AjaxTable fetch error:', err);
-            const msg = err?.message || 'Failed to load data.';
-            this._setState('error', msg);
-            this._emit('error', { error: err, message: msg });
+            const message = err?.response?.data?.message || err?.message || 'Bulk action failed.';
+            this._emit('bulkerror', { action, selection, error: err, message });
+            throw err;
+        } finally {
+            if (button) button.disabled = false;
         }
     }
 
-    _renderRows(data) {
-        if (!this.elements.tbody) return;
-        this.elements.tbody.innerHTML = '';
+    async _request(method, url, data = null, { signal } = {}) {
+        if (this.config.fetcher === 'axios') {
+            return (await window.axios({ url, method: method.toLowerCase(), data, signal })).data;
+        }
 
-        const fragment = document.createDocumentFragment();
-        data.forEach(row => {
-            const tr = document.createElement('tr');
-            tr.innerHTML = this._renderTemplate(row);
-            fragment.appendChild(tr.children.length === 1 && tr.children[0].tagName === 'TR'
-                ? tr.children[0]
-                : tr);
+        const headers = { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' };
+        const token = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content');
+        if (token) headers['X-CSRF-TOKEN'] = token;
+        if (data) headers['Content-Type'] = 'application/json';
+
+        const res = await fetch(url, { method: method.toUpperCase(), headers, body: data ? JSON.stringify(data) : undefined, signal });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw { response: { data: json, status: res.status } };
+        return json;
+    }
+
+    getColumns() {
+        return this.columns.map(c => ({ ...c }));
+    }
+
+    setColumnVisibility(key, visible) {
+        const column = this.columns.find(c => c.key === key);
+        if (!column || column.visible === !!visible) return;
+        column.visible = !!visible;
+        this._columnsChanged();
+    }
+
+    setColumnOrder(keys) {
+        const byKey = new Map(this.columns.map(c => [c.key, c]));
+        const ordered = keys.map(key => byKey.get(key)).filter(Boolean);
+        this.columns = [...ordered, ...this.columns.filter(c => !keys.includes(c.key))];
+        this._columnsChanged();
+    }
+
+    /**
+     * Builds the column list from the `columns` option or from `<th data-column>`
+     * headers, then applies any layout saved in localStorage.
+     */
+    _initColumns(columns) {
+        const headerRow = this.elements.table.querySelector('thead tr');
+        // Template cells without data-column are matched to headers by their original position.
+        this._templateColumns = headerRow ? [...headerRow.children].map(th => th.dataset.column || null) : [];
+
+        const fromHeader = headerRow
+            ? [...headerRow.querySelectorAll('th[data-column]')].map(th => ({
+                key: th.dataset.column,
+                label: th.dataset.label || th.textContent.trim(),
+                visible: !th.classList.contains('hidden')
+            }))
+            : [];
+        this.columns = (Array.isArray(columns) ? columns : fromHeader).map(c => ({
+            key: c.key,
+            label: c.label ?? c.key,
+            visible: c.visible !== false
+        }));
+        if (!this.columns.length) return;
+
+        const saved = this._loadColumnState();
+        if (saved) {
+            const hidden = new Set(saved.hidden || []);
+            this.columns.forEach(c => c.visible = !hidden.has(c.key));
+            if (Array.isArray(saved.order)) {
+                const order = saved.order.filter(key => this.columns.some(c => c.key === key));
+                this.columns = [
+                    ...order.map(key => this.columns.find(c => c.key === key)),
+                    ...this.columns.filter(c => !order.includes(c.key))
+                ];
+            }
+        }
+
+        this._bindColumnDrag();
+        this._renderColumnMenu();
+        this._applyColumnLayout(headerRow);
+    }
+
+    _columnStorageKey() {
+        return this.tableId ? `ajaxtable:columns:${this.tableId}` : null;
+    }
+
+    _loadColumnState() {
+        const key = this._columnStorageKey();
+        if (!key) return null;
+        try {
+            return JSON.parse(window.localStorage.getItem(key) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _columnsChanged() {
+        const state = {
+            order: this.columns.map(c => c.key),
+            hidden: this.columns.filter(c => !c.visible).map(c => c.key)
+        };
+
+        const key = this._columnStorageKey();
+        if (key) {
+            try {
+                window.localStorage.setItem(key, JSON.stringify(state));
+            } catch (e) {
+                console.warn('AjaxTable: Could not persist column settings.', e);
+            }
+        }
+        if (this.config.columnsUrl) {
+            this._request('POST', this.config.columnsUrl, { table: this.tableId, columns: this.getColumns() })
+                .catch(err => console.error('AjaxTable: Failed to save column settings.', err));
+        }
+
+        this._applyColumnLayout(this.elements.table.querySelector('thead tr'));
+        this.elements.tbody.querySelectorAll(':scope > tr').forEach(tr => this._applyColumnLayout(tr));
+        if (this.config.virtualScroll) this._renderVirtualRows(true);
+        this._renderColumnMenu();
+        this._emit('columnchange', { columns: this.getColumns() });
+    }
+
+    _tagRowColumns(tr) {
+        [...tr.children].forEach((td, i) => {
+            if (!td.dataset.column && this._templateColumns[i]) td.dataset.column = this._templateColumns[i];
         });
+    }
 
-        this.elements.tbody.appendChild(fragment);
+    _applyColumnLayout(tr) {
+        if (!tr || !this.columns.length) return;
+
+        const order = this.columns.map(c => c.key);
+        const cells = [...tr.children].filter(cell => order.includes(cell.dataset.column));
+        const sorted = [...cells].sort((a, b) => order.indexOf(a.dataset.column) - order.indexOf(b.dataset.column));
+
+        // Swap cells through placeholders so cells outside the column list keep their place.
+        const slots = cells.map(cell => {
+            const slot = document.createComment('');
+            cell.replaceWith(slot);
+            return slot;
+        });
+        sorted.forEach((cell, i) => {
+            slots[i].replaceWith(cell);
+            const column = this.columns.find(c => c.key === cell.dataset.column);
+            cell.classList.toggle('hidden', !column.visible);
+        });
     }
 
-    _renderTemplate(row) {
-        if (typeof this.config.onRow === 'function') return this.config.onRow(row);
-        if (row.html) return row.html;
+    _renderColumnMenu() {
+        const menu = this.elements.columnMenu;
+        if (!menu) return;
 
-        const tpl = document.getElementById(this.config.templateId);
-        if (!tpl) return '';
-        let html = tpl.innerHTML;
+        menu.innerHTML = `
+            <details class="dropdown dropdown-end column-chooser">
+                <summary class="btn btn-sm"></summary>
+                <ul class="dropdown-content menu bg-base-100 rounded-box z-10 w-52 p-2 shadow"></ul>
+            </details>`;
+        menu.querySelector('summary').textContent = this.config.columnMenuLabel;
+
+        const list = menu.querySelector('ul');
+        this.columns.forEach(column => {
+            const li = document.createElement('li');
+            li.innerHTML = '<label class="label cursor-pointer justify-start gap-2"><input type="checkbox" class="checkbox checkbox-sm"><span></span></label>';
+            const checkbox = li.querySelector('input');
+            checkbox.dataset.column = column.key;
+            checkbox.checked = column.visible;
+            li.querySelector('span').textContent = column.label;
+            list.appendChild(li);
+        });
+
+        if (!menu._columnMenuBound) {
+            menu._columnMenuBound = true;
+            menu.addEventListener('change', e => {
+                if (!e.target.matches('input[data-column]')) return;
+                const visibleCount = this.columns.filter(c => c.visible).length;
+                // Never let the last visible column be hidden.
+                if (!e.target.checked && visibleCount <= 1) {
+                    e.target.checked = true;
+                    return;
+                }
+                this.setColumnVisibility(e.target.dataset.column, e.target.checked);
+                menu.querySelector('details')?.setAttribute('open', '');
+            });
+        }
+    }
+
+    _bindColumnDrag() {
+        const headerRow = this.elements.table.querySelector('thead tr');
+        if (!headerRow) return;
+
+        headerRow.querySelectorAll('th[data-column]').forEach(th => th.draggable = true);
+        let dragged = null;
+
+        headerRow.addEventListener('dragstart', e => {
+            const th = e.target.closest?.('th[data-column]');
+            if (!th) return;
+            dragged = th.dataset.column;
+            th.classList.add('opacity-50');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', dragged);
+        });
+
+        headerRow.addEventListener('dragover', e => {
+            if (dragged && e.target.closest('th[data-column]')) e.preventDefault();
+        });
+
+        headerRow.addEventListener('drop', e => {
+            const th = e.target.closest('th[data-column]');
+            if (!dragged || !th || th.dataset.column === dragged) return;
+            e.preventDefault();
+
+            const rect = th.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            const keys = this.columns.map(c => c.key).filter(key => key !== dragged);
+            keys.splice(keys.indexOf(th.dataset.column) + (after ? 1 : 0), 0, dragged);
+            this.setColumnOrder(keys);
+        });
+
+        headerRow.addEventListener('dragend', e => {
+            e.target.closest?.('th[data-column]')?.classList.remove('opacity-50');
+            dragged = null;
+        });
+    }
+
+    /**
+     * Moves a row to `toIndex` within the current page and saves the new order to
+     * `reorderUrl`. The previous order is restored if the request fails.
+     * Resolves true when the order was saved.
+     */
+    async moveRow(rowOrId, toIndex) {
+        if (this._reorderPending) return false;
+
+        const id = rowOrId instanceof HTMLElement ? rowOrId.closest('tr')?.dataset.id : String(rowOrId);
+        const from = this.rows.findIndex(row => this._rowId(row) === id);
+        const to = Math.min(Math.max(parseInt(toIndex) || 0, 0), this.rows.length - 1);
+        if (from === -1 || from === to) return false;
+
+        const previous = [...this.rows];
+        const previousData = this.clientData && [...this.clientData];
+        const [row] = this.rows.splice(from, 1);
+        this.rows.splice(to, 0, row);
+        if (this.config.mode === 'client') this._moveClientRows();
+        this._syncRowOrder();
+
+        const ids = this._pageRowIds();
+        const index = ids.indexOf(id);
+        const info = {
+            id,
+            ids,
+            index,
+            before: ids[index + 1] ?? null,
+            after: ids[index - 1] ?? null,
+            page: this.lastPagination?.currentPage || 1
+        };
+        const { reorderUrl, reorderMethod, reorderPayload, reorderIdsKey } = this.config;
+        const payload = typeof reorderPayload === 'function' ? reorderPayload(info, row)
+            : reorderPayload === 'move' ? { id, before: info.before, after: info.after }
+                : { [reorderIdsKey]: ids, page: info.page };
+
+        if (!reorderUrl) {
+            this._emit('reorder', { row, ...info, response: null });
+            return true;
+        }
+
+        this._reorderPending = true;
+        this.elements.tbody.setAttribute('aria-busy', 'true');
+        try {
+            const response = await this._request(reorderMethod, reorderUrl, payload);
+            if (this.config.cache) this.invalidate();
+            this._emit('reorder', { row, ...info, response });
+            return true;
+        } catch (err) {
+            this.rows.splice(0, this.rows.length, ...previous);
+            if (previousData) this.clientData.splice(0, this.clientData.length, ...previousData);
+            this._syncRowOrder();
+            const message = err?.response?.data?.message || err?.message || 'Failed to save the new order.';
+            this._emit('reordererror', { row, ...info, error: err, message });
+            return false;
+        } finally {
+            this._reorderPending = false;
+            this.elements.tbody.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Writes the current page's order back into `clientData`, so the move survives the next
+     * client-side fetch. The page's rows keep the slots they held: the page offset plus their
+     * index, or their filtered positions when filters are active.
+     */
+    _moveClientRows() {
+        if (!this.clientData) return;
+        const slots = this.rows.map(row => this.clientData.indexOf(row)).filter(i => i !== -1).sort((a, b) => a - b);
+        if (slots.length !== this.rows.length) return;
+        slots.forEach((slot, i) => {
+            this.clientData[slot] = this.rows[i];
+        });
+    }
+
+    _syncRowOrder() {
+        if (this.config.virtualScroll) return this._renderVirtualRows(true);
+
+        const { tbody } = this.elements;
+        const trailing = [...tbody.querySelectorAll(':scope > tr:not([data-id]):not(.detail-row)')];
+        this._pageRowIds().forEach(id => {
+            const tr = this._findRowElement(id);
+            if (!tr) return;
+            const detail = tr.nextElementSibling?.classList.contains('detail-row') ? tr.nextElementSibling : null;
+            tbody.appendChild(tr);
+            if (detail) tbody.appendChild(detail);
+        });
+        trailing.forEach(tr => tbody.appendChild(tr));
+    }
+
+    _decorateReorderableRow(tr) {
+        let handle = tr.querySelector('[data-drag-handle]');
+        if (!handle) {
+            const td = document.createElement('td');
+            td.className = 'w-8';
+            td.innerHTML = '<button type="button" class="btn btn-ghost btn-xs cursor-move" data-drag-handle>⠿</button>';
+            tr.prepend(td);
+            handle = td.firstChild;
 
-        html = html.replace(/data\.([a-zA-Z0-9_]+\.[a-zA-Z0-9_]+)/g, (_, path) => {
-            const keys = path.split('.');
-            let value = row;
-            for (const key of keys) {
-                value = value?.[key];
-                if (value === undefined) break;
+            const headerRow = this.elements.table.querySelector('thead tr');
+            if (headerRow && !headerRow.querySelector('.reorder-column')) {
+                const th = document.createElement('th');
+                th.className = 'w-8 reorder-column';
+                headerRow.prepend(th);
             }
-            return value ?? '';
+        }
+        handle.draggable = true;
+        if (!handle.hasAttribute('aria-label')) handle.setAttribute('aria-label', 'Move row (arrow keys)');
+        if (handle.tagName !== 'BUTTON' && !handle.hasAttribute('tabindex')) handle.tabIndex = 0;
+    }
+
+    _bindReorderEvents() {
+        const { tbody } = this.elements;
+        let dragged = null;
+        let target = null;
+
+        const clearMarker = () => {
+            if (target) target.tr.style.boxShadow = '';
+            target = null;
+        };
+
+        tbody.addEventListener('dragstart', e => {
+            const handle = e.target.closest?.('[data-drag-handle]');
+            const tr = handle?.closest('tr[data-id]');
+            if (!tr || this._reorderPending) return;
+            dragged = tr;
+            tr.classList.add('opacity-50');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', tr.dataset.id);
+            e.dataTransfer.setDragImage?.(tr, 0, 0);
+        });
+
+        tbody.addEventListener('dragover', e => {
+            const tr = e.target.closest?.('tr[data-id]');
+            if (!dragged || !tr || !tbody.contains(tr)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            const rect = tr.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            if (target?.tr === tr && target.after === after) return;
+            clearMarker();
+            target = { tr, after };
+            tr.style.boxShadow = `inset 0 ${after ? -2 : 2}px 0 0 currentColor`;
+        });
+
+        tbody.addEventListener('drop', e => {
+            if (!dragged || !target) return;
+            e.preventDefault();
+
+            const ids = this._pageRowIds();
+            const from = ids.indexOf(dragged.dataset.id);
+            let to = ids.indexOf(target.tr.dataset.id) + (target.after ? 1 : 0);
+            if (from < to) to--;
+            this.moveRow(dragged.dataset.id, to);
+            clearMarker();
+        });
+
+        tbody.addEventListener('dragend', () => {
+            dragged?.classList.remove('opacity-50');
+            dragged = null;
+            clearMarker();
         });
 
-        html = html.replace(/data\.([a-zA-Z0-9_]+)/g, (_, key) => row[key] ?? '');
-        return html;
+        tbody.addEventListener('keydown', async e => {
+            const handle = e.target.closest?.('[data-drag-handle]');
+            if (!handle || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            e.preventDefault();
+
+            const id = handle.closest('tr[data-id]')?.dataset.id;
+            const index = this._pageRowIds().indexOf(id);
+            if (index === -1) return;
+            const moved = this.moveRow(id, index + (e.key === 'ArrowUp' ? -1 : 1));
+            this._findRowElement(id)?.querySelector('[data-drag-handle]')?.focus();
+            await moved;
+            this._findRowElement(id)?.querySelector('[data-drag-handle]')?.focus();
+        });
     }
 
-    _renderPagination(meta) {
-        const pagEl = this.elements.pagination;
-        if (!pagEl || !meta?.links || meta.last_page <= 1) {
+    /**
+     * Expands the detail row under a data row. Accepts the row's id or its `<tr>`.
+     */
+    async expand(rowOrId) {
+        const tr = this._findRowElement(rowOrId);
+        if (!tr || tr.nextElementSibling?.classList.contains('detail-row')) return;
+
+        const row = this._rowData.get(tr);
+        if (this.config.singleExpand) {
+            this.elements.tbody.querySelectorAll(':scope > tr.expanded').forEach(other => {
+                if (other !== tr) this.collapse(other);
+            });
+        }
+
+        const detailTr = document.createElement('tr');
+        detailTr.className = 'detail-row';
+        const td = document.createElement('td');
+        td.colSpan = this._visibleColumnCount();
+        td.innerHTML = '<span class="loading loading-spinner loading-sm"></span>';
+        detailTr.appendChild(td);
+        tr.after(detailTr);
+
+        tr.classList.add('expanded');
+        this._setToggleExpanded(tr, true);
+        if (tr.dataset.id) {
+            this.expanded.add(tr.dataset.id);
+            this._detailRows.set(tr.dataset.id, detailTr);
+        }
+
+        // Collapsed or re-rendered while the details were loading. Virtual scrolling detaches
+        // detail rows that scroll out of view, so rows with an id are checked by reference.
+        const stale = () => tr.dataset.id ? this._detailRows.get(tr.dataset.id) !== detailTr : !detailTr.isConnected;
+
+        try {
+            const html = await this._detailContent(tr, row);
+            if (stale()) return;
+            td.innerHTML = html;
+            this._emit('expand', { row, element: tr, detail: detailTr });
+        } catch (err) {
+            if (stale()) return;
+            td.textContent = err?.response?.data?.message || err?.message || 'Failed to load details.';
+            this._emit('expanderror', { error: err, message: td.textContent, row, element: tr });
+        }
+    }
+
+    collapse(rowOrId) {
+        const tr = this._findRowElement(rowOrId);
+        if (!tr) return;
+
+        const detailTr = tr.nextElementSibling?.classList.contains('detail-row') ? tr.nextElementSibling : null;
+        detailTr?.remove();
+        tr.classList.remove('expanded');
+        this._setToggleExpanded(tr, false);
+        if (tr.dataset.id) {
+            this.expanded.delete(tr.dataset.id);
+            this._detailRows.delete(tr.dataset.id);
+        }
+        if (detailTr) this._emit('collapse', { row: this._rowData.get(tr), element: tr });
+    }
+
+    toggleDetail(rowOrId) {
+        const tr = this._findRowElement(rowOrId);
+        if (!tr) return;
+        return tr.classList.contains('expanded') ? this.collapse(tr) : this.expand(tr);
+    }
+
+    _findRowElement(rowOrId) {
+        if (rowOrId instanceof HTMLElement) return rowOrId.closest('tr');
+        return [...this.elements.tbody.querySelectorAll(':scope > tr[data-id]')]
+            .find(tr => tr.dataset.id === String(rowOrId)) || null;
+    }
+
+    _bindDetailEvents() {
+        const toggle = (e) => {
+            const btn = e.target.closest('[data-toggle-detail]');
+            if (!btn || !this.elements.tbody.contains(btn)) return false;
+            e.preventDefault();
+            this.toggleDetail(btn);
+            return true;
+        };
+
+        this.elements.tbody.addEventListener('click', toggle);
+        this.elements.tbody.addEventListener('keydown', e => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('[data-toggle-detail]')
+                && e.target.tagName !== 'BUTTON') {
+                toggle(e);
+            }
+        });
+    }
+
+    _setToggleExpanded(tr, expanded) {
+        tr.querySelectorAll('[data-toggle-detail]').forEach(btn => btn.setAttribute('aria-expanded', String(expanded)));
+    }
+
+    _visibleColumnCount() {
+        const headerRow = this.elements.table.querySelector('thead tr');
+        if (!headerRow) return 1;
+        return [...headerRow.children].filter(th => !th.classList.contains('hidden'))
+            .reduce((sum, th) => sum + (th.colSpan || 1), 0) || 1;
+    }
+
+    async _detailContent(tr, row) {
+        if (typeof this.config.onDetail === 'function') return this.config.onDetail(row);
+
+        const url = tr.querySelector('[data-detail-url]')?.dataset.detailUrl || tr.dataset.detailUrl;
+        if (url) {
+            if (!this._detailCache.has(url)) {
+                const data = this.config.fetcher === 'axios'
+                    ? (await window.axios.get(url, { headers: { 'Accept': 'text/html, application/json' } })).data
+                    : await this._fetchDetail(url);
+                this._detailCache.set(url, typeof data === 'string'
+                    ? data
+                    : (data?.html ?? (data?.[this.config.dataKey] ? this._renderDetailTemplate(data[this.config.dataKey]) : '')));
+            }
+            return this._detailCache.get(url);
+        }
+
+        return this._renderDetailTemplate(row);
+    }
+
+    async _fetchDetail(url) {
+        const res = await fetch(url, { headers: { 'Accept': 'text/html, application/json', 'X-Requested-With': 'XMLHttpRequest' } });
+        if (!res.ok) throw new Error(`Failed to load details (${res.status}).`);
+        return (res.headers.get('content-type') || '').includes('json') ? res.json() : res.text();
+    }
+
+    _renderDetailTemplate(row) {
+        const tpl = this.config.detailTemplateId && document.getElementById(this.config.detailTemplateId);
+        return tpl ? this._interpolate(tpl.innerHTML, row || {}) : '';
+    }
+
+    _restoreExpandedRows() {
+        [...this.expanded].forEach(id => {
+            if (this._findRowElement(id)) this.expand(id);
+        });
+    }
+
+    /**
+     * Puts detail rows back under their rows after a virtual render, without reloading them
+     * or emitting 'expand' again. Only rows never expanded in this window go through expand().
+     */
+    _reattachDetailRows() {
+        [...this.expanded].forEach(id => {
+            const tr = this._findRowElement(id);
+            if (!tr) return;
+            const detailTr = this._detailRows.get(id);
+            if (!detailTr) return this.expand(tr);
+
+            detailTr.firstElementChild.colSpan = this._visibleColumnCount();
+            tr.after(detailTr);
+            tr.classList.add('expanded');
+            this._setToggleExpanded(tr, true);
+        });
+    }
+
+    _bindEditEvents() {
+        this.elements.tbody.addEventListener('dblclick', e => {
+            const td = e.target.closest('[data-editable]');
+            if (td && !td.classList.contains('editing') && this.elements.tbody.contains(td)) this._startEdit(td);
+        });
+    }
+
+    _editUrl(tr, td, row) {
+        const url = td.dataset.updateUrl || tr.dataset.updateUrl;
+        if (url) return url;
+
+        const { editUrl } = this.config;
+        if (typeof editUrl === 'function') return editUrl(row);
+        if (typeof editUrl === 'string') return editUrl.replace(/\{(\w+)\}/g, (_, key) => encodeURIComponent(row?.[key] ?? ''));
+        return null;
+    }
+
+    _createEditor(td, value) {
+        const type = td.dataset.type || 'text';
+
+        if (type === 'select') {
+            const select = document.createElement('select');
+            select.className = 'select select-sm select-bordered w-full';
+            let options = {};
+            try {
+                options = JSON.parse(td.dataset.options || '{}');
+            } catch (e) {
+                console.warn('AjaxTable: Invalid JSON in data-options:', e);
+            }
+            const entries = Array.isArray(options) ? options.map(o => [o, o]) : Object.entries(options);
+            entries.forEach(([val, label]) => select.add(new Option(label, val, false, String(val) === String(value ?? ''))));
+            return select;
+        }
+
+        const input = document.createElement('input');
+        if (type === 'toggle') {
+            input.type = 'checkbox';
+            input.className = 'toggle toggle-sm';
+            input.checked = this._toggleValue(value);
+        } else {
+            input.type = type === 'number' ? 'number' : 'text';
+            input.className = 'input input-sm input-bordered w-full';
+            input.value = value ?? '';
+        }
+        return input;
+    }
+
+    _editorValue(editor, td) {
+        const type = td.dataset.type || 'text';
+        if (type === 'toggle') return editor.checked;
+        if (type === 'number') return editor.value === '' ? null : Number(editor.value);
+        return editor.value;
+    }
+
+    _toggleValue(value) {
+        return !!value && value !== '0' && String(value).toLowerCase() !== 'false';
+    }
+
+    /**
+     * Compares an editor value with the row's value as the editor type sees them,
+     * so `true`/`1` or `"5"`/`5` count as unchanged.
+     */
+    _sameEditorValue(td, a, b) {
+        const type = td.dataset.type || 'text';
+        const normalize = (value) => {
+            if (type === 'toggle') return this._toggleValue(value);
+            if (type === 'number') return value === '' || value == null || Number.isNaN(Number(value)) ? null : Number(value);
+            return value == null ? '' : String(value);
+        };
+        return normalize(a) === normalize(b);
+    }
+
+    _startEdit(td) {
+        const tr = td.closest('tr');
+        const row = this._rowData.get(tr);
+        if (!row) return;
+
+        const field = td.dataset.editable;
+        const original = td.innerHTML;
+        const editor = this._createEditor(td, row[field]);
+
+        td.classList.add('editing');
+        td.innerHTML = '';
+        td.appendChild(editor);
+        editor.focus();
+
+        let done = false;
+        const revert = () => {
+            done = true;
+            td.classList.remove('editing', 'saving');
+            td.innerHTML = original;
+        };
+        const save = async () => {
+            if (done) return;
+            const value = this._editorValue(editor, td);
+            if (this._sameEditorValue(td, value, row[field])) return revert();
+
+            done = true;
+            const saved = await this._saveCell(tr, td, row, field, value);
+            if (saved === false) revert();
+            else if (saved === null) done = false;
+        };
+
+        editor.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                revert();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                save();
+            }
+        });
+
+        if (editor.type === 'checkbox') editor.addEventListener('change', save);
+        else editor.addEventListener('blur', save);
+    }
+
+    /**
+     * Sends one field to the row's update URL. Resolves true on success, null when
+     * the server returned validation errors (editor stays open) and false otherwise.
+     */
+    async _saveCell(tr, td, row, field, value) {
+        const url = this._editUrl(tr, td, row);
+        if (!url) {
+            console.error('AjaxTable: No update URL for editable cell', field);
+            return false;
+        }
+
+        const method = (td.dataset.method || this.config.editMethod).toUpperCase();
+        const payload = { [field]: value };
+        if (method !== 'POST') payload._method = method;
+
+        td.classList.add('saving');
+        td.querySelector('.cell-error')?.remove();
+
+        try {
+            const response = await this._request('POST', url, payload);
+            const updated = response?.[this.config.dataKey];
+            Object.assign(row, updated && typeof updated === 'object' && !Array.isArray(updated) ? updated : { [field]: value });
+            if (this.config.cache) this.invalidate();
+
+            const newTr = this._replaceRowElement(tr, row);
+            this._emit('cellsave', { row, field, value, response, element: newTr });
+            return true;
+        } catch (err) {
+            td.classList.remove('saving');
+            const errors = err?.response?.status === 422 ? err.response.data?.errors?.[field] : null;
+            const message = errors
+                ? (Array.isArray(errors) ? errors.join(' ') : errors)
+                : (err?.response?.data?.message || err?.message || 'Failed to save.');
+
+            this._emit('cellerror', { row, field, value, error: err, message });
+            if (!errors) return false;
+
+            const errorEl = document.createElement('div');
+            errorEl.className = 'cell-error text-error text-xs mt-1';
+            errorEl.textContent = message;
+            td.appendChild(errorEl);
+            td.querySelector('input, select')?.classList.add('input-error');
+            td.querySelector('input, select')?.focus();
+            return null;
+        }
+    }
+
+    _updateFilters() {
+        this.filters = {};
+        const formData = new FormData(this.elements.filters.tagName === 'FORM' ? this.elements.filters : undefined);
+        if (this.elements.filters.tagName !== 'FORM') {
+            this.elements.filters.querySelectorAll('input, select').forEach(input => {
+                if (input.name) formData.append(input.name, input.value);
+            });
+        }
+        for (const [key, value] of formData.entries()) {
+            if (value) this.filters[key] = value;
+        }
+    }
+
+    _buildQueryString(page = 1, cursor = this.cursor) {
+        let params = { ...this.filters, ...this._sortParams() };
+        // Cursor pagination replaces the page number.
+        if (cursor) params[this.config.cursorParam] = cursor;
+        else params.page = page;
+        if (this.config.perPageOptions) params[this.config.perPageParam] = this.perPage;
+        if (typeof this.config.additionalParams === 'function') {
+            params = { ...params, ...this.config.additionalParams() };
+        }
+        return new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== '')).toString();
+    }
+
+    /**
+     * Replaces the local rows used in client mode and re-renders the first page.
+     * Passing null makes the next fetch reload them from `url`.
+     */
+    setData(data) {
+        this.clientData = Array.isArray(data) ? data : null;
+        return this.fetchData(1);
+    }
+
+    async _loadClientData(signal) {
+        if (this.clientData) return this.clientData;
+        if (!this.url) return [];
+
+        const response = this.config.fetcher === 'axios'
+            ? (await window.axios.get(this.url, { signal })).data
+            : await (await fetch(this.url, { headers: { 'Accept': 'application/json' }, signal })).json();
+
+        this.clientData = Array.isArray(response) ? response : (response?.[this.config.dataKey] || []);
+        return this.clientData;
+    }
+
+    /**
+     * Filters, sorts and slices the local rows, returning the same
+     * `{ data, meta }` shape a Laravel paginator would.
+     */
+    async _clientResponse(page = 1, { perPage: perPageOverride = null, signal } = {}) {
+        const extraParams = typeof this.config.additionalParams === 'function' ? this.config.additionalParams() : {};
+        const filters = Object.entries({ ...this.filters, ...extraParams }).filter(([, v]) => v != null && v !== '');
+
+        let rows = (await this._loadClientData(signal)).filter(row =>
+            filters.every(([key, value]) => this._matchesFilter(row, key, value)));
+
+        if (this.sort.length) rows = [...rows].sort((a, b) => this._compareRows(a, b));
+
+        const perPage = perPageOverride || this.perPage;
+        const total = rows.length;
+        const lastPage = Math.max(Math.ceil(total / perPage), 1);
+        const currentPage = Math.min(Math.max(parseInt(page) || 1, 1), lastPage);
+        const offset = (currentPage - 1) * perPage;
+
+        return {
+            [this.config.dataKey]: rows.slice(offset, offset + perPage),
+            [this.config.metaKey]: {
+                current_page: currentPage,
+                last_page: lastPage,
+                per_page: perPage,
+                total,
+                from: total ? offset + 1 : null,
+                to: total ? Math.min(offset + perPage, total) : null,
+                links: this._buildClientLinks(currentPage, lastPage)
+            }
+        };
+    }
+
+    _matchesFilter(row, key, value) {
+        const predicate = this.config.filterPredicates[key];
+        if (typeof predicate === 'function') return predicate(row[key], value, row);
+
+        const needle = String(value).toLowerCase();
+        if (!(key in row)) {
+            return Object.values(row).some(v => v != null && typeof v !== 'object'
+                && String(v).toLowerCase().includes(needle));
+        }
+        const cell = row[key];
+        if (typeof cell === 'string') return cell.toLowerCase().includes(needle);
+        return String(cell ?? '').toLowerCase() === needle;
+    }
+
+    _compareRows(a, b) {
+        for (const { column, direction } of this.sort) {
+            const x = column.split('.').reduce((v, k) => v?.[k], a);
+            const y = column.split('.').reduce((v, k) => v?.[k], b);
+            let result;
+            if (x == null || y == null) result = x == null ? (y == null ? 0 : -1) : 1;
+            else if (typeof x === 'number' && typeof y === 'number') result = x - y;
+            else result = String(x).localeCompare(String(y), undefined, { numeric: true, sensitivity: 'base' });
+
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+    }
+
+    _buildClientLinks(current, last) {
+        const link = (page, label, active = false) => ({ url: page ? `?page=${page}` : null, label: String(label), active });
+        const pages = [];
+        for (let i = 1; i <= last; i++) {
+            if (last <= 10 || i <= 2 || i > last - 2 || Math.abs(i - current) <= 2) pages.push(i);
+            else if (pages[pages.length - 1] !== '...') pages.push('...');
+        }
+
+        return [
+            link(current > 1 ? current - 1 : null, '&laquo; Previous'),
+            ...pages.map(p => p === '...' ? link(null, '...') : link(p, p, p === current)),
+            link(current < last ? current + 1 : null, 'Next &raquo;')
+        ];
+    }
+
+    _setState(state, errorMessage = 'An error occurred.') {
+        const { container, loader, nothingFound, error } = this.elements;
+        const all = [container, loader, nothingFound, error];
+        all.forEach(el => el?.classList.add('hidden'));
+        // 'idle' hides everything, as before the first load; it isn't a result to return to.
+        if (!['loading', 'skeleton', 'idle'].includes(state)) this._lastState = state;
+        this._setDimmed(false);
+
+        if (state === 'loading' && loader) loader.classList.remove('hidden');
+        else if ((state === 'content' || state === 'skeleton') && container) container.classList.remove('hidden');
+        else if (state === 'empty' && nothingFound) nothingFound.classList.remove('hidden');
+        else if (state === 'error' && error) {
+            error.classList.remove('hidden');
+            const errorTextField = error.querySelector('.table-render-error-text') || error;
+            errorTextField.textContent = errorMessage;
+            renderRetryButton(error, this.config.retryLabel);
+        }
+    }
+
+    /**
+     * Reloads after a failed request once the browser is back online. Polls that came due
+     * while offline run on reconnect.
+     */
+    _handleOnline() {
+        const pending = this._reconnectPending;
+        const refetch = !!pending && this.config.refetchOnReconnect;
+        this._emit('online', { refetch });
+        if (refetch) {
+            this._reconnectPending = false;
+            this.refresh({ silent: pending.silent });
+        }
+        if (this._pollDue && !document.hidden) this._poll();
+    }
+
+    /**
+     * With `skeleton`, dims the current rows on refresh or shows skeleton rows when
+     * nothing is shown yet. Otherwise shows the loading element.
+     */
+    _showLoading() {
+        if (!this.config.skeleton) return this._setState('loading');
+
+        if (this._lastState === 'content' && this.rows.length) {
+            this._setDimmed(true);
+            return;
+        }
+
+        const { skeletonTemplateId, skeletonCount } = this.config;
+        const count = Math.max(parseInt(skeletonCount) || this._lastRowCount || Math.min(this.perPage, 10), 1);
+        const tpl = skeletonTemplateId && document.getElementById(skeletonTemplateId);
+        let row = tpl ? tpl.innerHTML.trim() : '';
+        if (!row) {
+            const style = this._skeletonRowHeight ? ` style="height:${this._skeletonRowHeight}px"` : '';
+            const cell = '<td><div class="skeleton h-4 w-full"></div></td>';
+            row = `<tr${style}>${cell.repeat(this._visibleColumnCount())}</tr>`;
+        }
+        if (!/^<tr[\s>]/i.test(row)) row = `<tr>${row}</tr>`;
+
+        this.elements.tbody.innerHTML = row.repeat(count);
+        this.elements.tbody.querySelectorAll(':scope > tr').forEach(tr => {
+            tr.classList.add('skeleton-row');
+            tr.setAttribute('aria-hidden', 'true');
+        });
+        this._setState('skeleton');
+        this.elements.tbody.setAttribute('aria-busy', 'true');
+    }
+
+    _removeSkeletons() {
+        this.elements.tbody.querySelectorAll(':scope > tr.skeleton-row').forEach(tr => tr.remove());
+    }
+
+    _setDimmed(dimmed) {
+        const { tbody } = this.elements;
+        String(this.config.dimClass || '').split(/\s+/).filter(Boolean)
+            .forEach(cls => tbody.classList.toggle(cls, dimmed));
+        if (dimmed) tbody.setAttribute('aria-busy', 'true');
+        else tbody.removeAttribute('aria-busy');
+    }
+
+    /**
+     * Cancels the in-flight request, if any. The table keeps showing what it had.
+     */
+    abort() {
+        this._controller?.abort();
+    }
+
+    _isAbortError(err) {
+        return err?.name === 'AbortError' || err?.name === 'CanceledError' || !!window.axios?.isCancel?.(err);
+    }
+
+    async fetchData(page = 1, { cursor = null, silent = false } = {}) {
+        this.abort();
+        this.cursor = cursor || null;
+        const controller = new AbortController();
+        const seq = ++this._requestSeq;
+        this._controller = controller;
+
+        if (this.config.syncUrl) this._writeUrlState(page);
+
+        const cacheKey = this.config.cache && this.config.mode !== 'client' ? this._endpoint(page) : null;
+        const cached = cacheKey ? this._cacheGet(cacheKey) : null;
+
+        if (cached) {
+            // Show the cached page right away and revalidate it below.
+            this._emit('start', { page, cached: true });
+            this._renderResponse(cached, page, { cached: true });
+        } else if (silent) {
+            this._emit('start', { page, silent: true });
+        } else {
+            this._showLoading();
+            this._emit('start', { page });
+            const pagEl = this.elements.pagination;
+            // Skeleton mode keeps the layout in place, pagination included.
+            if (pagEl && !this.config.skeleton) {
+                pagEl.innerHTML = '';
+                pagEl.classList.add('hidden');
+            }
+        }
+
+        try {
+            const response = await this._fetchPage(page, { signal: controller.signal });
+            // A newer request was started while this one was in flight.
+            if (seq !== this._requestSeq) return;
+            if (controller.signal.aborted) throw new DOMException('Request aborted.', 'AbortError');
+
+            this._reconnectPending = false;
+            if (cacheKey) this._cacheSet(cacheKey, response);
+            const previous = cached || (silent ? this._lastResponse : null);
+            if (!previous || JSON.stringify(previous) !== JSON.stringify(response)) {
+                this._renderResponse(response, page, cached ? { revalidated: true } : silent ? { silent: true } : {});
+            }
+            if (cacheKey) this._prefetchNext();
+
+        } catch (err) {
+            const superseded = seq !== this._requestSeq;
+            if (controller.signal.aborted || this._isAbortError(err)) {
+                this._emit('aborted', { page, superseded });
+                if (!superseded && !cached && !silent) {
+                    this._removeSkeletons();
+                    // An aborted first load says nothing about the results, so don't claim there are none.
+                    this._setState(this._lastState || 'idle');
+                    if (this.lastMeta) this._renderPagination(this.lastMeta, this.lastPagination);
+                }
+                return;
+            }
+            if (superseded) return;
+
+            console.error('AjaxTable fetch error:', err);
+            const { kind, status, message: msg } = describeError(err, this.config.errorMessages);
+            const keepRows = !!cached || silent;
+            this._reconnectPending = ['offline', 'network', 'timeout'].includes(kind) ? { silent: keepRows } : false;
+            // A failed revalidation or background refresh keeps the current page on screen.
+            if (!keepRows) this._setState('error', msg);
+            this._emit('error', { error: err, message: msg, cached: !!cached, silent, kind, status });
+        } finally {
+            if (this._controller === controller) this._controller = null;
+        }
+    }
+
+    _renderResponse(response, page, extra = {}) {
+        const meta = response[this.config.metaKey] || {};
+        this.lastMeta = meta;
+        this._lastResponse = response;
+
+        const data = response[this.config.dataKey] || [];
+        this.rows = data;
+        // A new result set starts at the top; background refreshes keep the scroll position.
+        this._resetScroll = !extra.silent && !extra.revalidated;
+        this.lastPagination = resolvePagination(response, meta, this.config.paginationAdapters);
+
+        this._renderRows(data);
+        this._renderPagination(meta, this.lastPagination);
+        this._renderPageControls({ ...response, ...meta });
+
+        this._setState(data.length > 0 ? 'content' : 'empty');
+        if (this.config.skeleton && data.length) {
+            this._lastRowCount = Math.min(data.length, 50);
+            const height = this.elements.tbody.querySelector(':scope > tr[data-id]')?.offsetHeight;
+            if (height) this._skeletonRowHeight = height;
+        }
+        this._emit('rendered', { data, meta, page, ...extra });
+    }
+
+    _endpoint(page = 1, cursor = this.cursor) {
+        return `${this.url.split('?')[0]}?${this._buildQueryString(page, cursor)}`;
+    }
+
+    /**
+     * Loads one page, retrying network errors, timeouts and 5xx responses with backoff.
+     */
+    async _fetchPage(page = 1, { signal, cursor = this.cursor, retries = this.config.retries } = {}) {
+        if (this.config.mode === 'client') return this._clientResponse(page, { signal });
+
+        const endpoint = this._endpoint(page, cursor);
+        const { retryDelay, maxRetryDelay, timeout } = this.config;
+        return withRetry(attemptSignal => this.config.fetcher === 'axios'
+            ? window.axios.get(endpoint, { signal: attemptSignal }).then(res => res.data)
+            : fetchJson(endpoint, { signal: attemptSignal }), {
+            retries, retryDelay, maxRetryDelay, timeout, signal,
+            onRetry: info => this._emit('retry', { page, ...info })
+        });
+    }
+
+    /**
+     * Drops every cached page, e.g. after a FormSubmit success:
+     * `form.on('success', () => table.invalidate().refresh())`.
+     */
+    invalidate() {
+        this._cache.clear();
+        if (this.config.cacheStorage === 'session') {
+            try {
+                window.sessionStorage.removeItem(this._cacheStorageKey());
+            } catch (e) {
+                // Storage may be unavailable (private mode, quota); memory cache is already cleared.
+            }
+        }
+        return this;
+    }
+
+    _cacheStorageKey() {
+        return `ajaxtable:cache:${this.tableId || this.url}`;
+    }
+
+    _cacheLoad() {
+        if (this.config.cacheStorage !== 'session') return;
+        try {
+            const entries = JSON.parse(window.sessionStorage.getItem(this._cacheStorageKey()) || '[]');
+            entries.forEach(([key, entry]) => this._cache.set(key, entry));
+        } catch (e) {
+            this._cache.clear();
+        }
+    }
+
+    _cachePersist() {
+        if (this.config.cacheStorage !== 'session') return;
+        try {
+            window.sessionStorage.setItem(this._cacheStorageKey(), JSON.stringify([...this._cache]));
+        } catch (e) {
+            console.warn('AjaxTable: Could not persist page cache.', e);
+        }
+    }
+
+    _cacheGet(key) {
+        const entry = this._cache.get(key);
+        if (!entry) return null;
+
+        this._cache.delete(key);
+        if (Date.now() - entry.time > this.config.cacheTtl) {
+            this._cachePersist();
+            return null;
+        }
+        this._cache.set(key, entry); // Most recently used goes last
+        return entry.response;
+    }
+
+    _cacheSet(key, response) {
+        this._cache.delete(key);
+        this._cache.set(key, { time: Date.now(), response });
+        while (this._cache.size > Math.max(this.config.cacheMaxEntries, 1)) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+        this._cachePersist();
+    }
+
+    _prefetchNext() {
+        const state = this.lastPagination;
+        if (!this.config.prefetch || !state?.hasNext) return;
+
+        const { page = 1, cursor = null } = state.next;
+        const idle = window.requestIdleCallback || (fn => setTimeout(fn, 200));
+        idle(() => {
+            const key = this._endpoint(page, cursor);
+            if (this._cache.has(key)) return;
+            this._fetchPage(page, { cursor, retries: 0 })
+                .then(response => this._cacheSet(key, response))
+                .catch(() => {});
+        });
+    }
+
+    /**
+     * Re-renders one row in place, keeping its expanded and selected state.
+     */
+    _replaceRowElement(tr, row) {
+        const newTr = this._createRowElement(row);
+        tr.replaceWith(newTr);
+        if (tr.classList.contains('expanded')) {
+            newTr.classList.add('expanded');
+            this._setToggleExpanded(newTr, true);
+        }
+        this._syncSelectionUI();
+        return newTr;
+    }
+
+    /**
+     * Merges `data` into the row with the same `rowKey` and re-renders it.
+     * Returns false when that row is not on the current page.
+     */
+    patchRow(data, { highlight = false } = {}) {
+        const id = this._rowId(data);
+        const tr = this._findRowElement(id);
+        const row = tr && this._rowData.get(tr);
+        if (!row) {
+            // Virtualized rows outside the viewport only exist as data.
+            const offscreen = this.config.virtualScroll && id !== null && this.rows.find(r => this._rowId(r) === id);
+            if (offscreen) Object.assign(offscreen, data);
+            return !!offscreen;
+        }
+
+        Object.assign(row, data);
+        const newTr = this._replaceRowElement(tr, row);
+        if (highlight) this._highlightRow(newTr);
+        this._emit('rowpatch', { row, element: newTr });
+        return true;
+    }
+
+    /**
+     * Inserts rows at the top of the first page, trimming the page back to its size.
+     * Rows that are already shown are patched instead. On other pages nothing is inserted.
+     */
+    prependRows(rows, { highlight = true } = {}) {
+        const isFirstPage = !this.cursor && (this.lastPagination?.currentPage || this.lastMeta?.current_page || 1) == 1;
+        const added = [];
+
+        const elements = [];
+
+        [].concat(rows || []).reverse().forEach(row => {
+            if (this.patchRow(row, { highlight })) return;
+            if (!isFirstPage) return;
+
+            this.rows.unshift(row);
+            added.unshift(row);
+            if (!this.config.virtualScroll) {
+                const tr = this._createRowElement(row);
+                this.elements.tbody.prepend(tr);
+                elements.push(tr);
+            }
+        });
+        if (!added.length) return added;
+
+        const limit = parseInt(this.lastMeta?.per_page) || this.perPage;
+        while (this.rows.length > limit) {
+            const removed = this.rows.pop();
+            if (this.config.virtualScroll) continue;
+            const tr = this._findRowElement(this._rowId(removed))
+                || [...this.elements.tbody.querySelectorAll(':scope > tr:not(.detail-row)')].pop();
+            if (tr) {
+                this.collapse(tr);
+                tr.remove();
+            }
+        }
+
+        if (this.config.virtualScroll) {
+            this._renderVirtualRows(true);
+            added.forEach(row => elements.push(this._findRowElement(this._rowId(row))));
+        }
+        if (highlight) elements.filter(Boolean).forEach(tr => this._highlightRow(tr));
+
+        this._syncSelectionUI();
+        this._setState('content');
+        this._emit('rowsprepend', { rows: added });
+        return added;
+    }
+
+    _highlightRow(tr) {
+        const classes = String(this.config.highlightClass || '').split(/\s+/).filter(Boolean);
+        if (!classes.length) return;
+        tr.classList.add(...classes);
+        setTimeout(() => tr.classList.remove(...classes), this.config.highlightDuration);
+    }
+
+    /**
+     * Refreshes the current page every `interval` ms in the background. Polling waits
+     * while the tab is hidden, the browser is offline, a request is in flight or the user
+     * is working in the table.
+     */
+    startPolling(interval = this.config.poll) {
+        this.stopPolling();
+        this._pollInterval = Math.max(parseInt(interval) || 0, 1000);
+        this._onVisibilityChange = () => {
+            if (!document.hidden && this._pollDue) this._poll();
+        };
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        this._schedulePoll();
+    }
+
+    stopPolling() {
+        clearTimeout(this._pollTimer);
+        this._pollTimer = null;
+        this._pollDue = false;
+        if (this._onVisibilityChange) document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        this._onVisibilityChange = null;
+    }
+
+    _schedulePoll(delay = this._pollInterval) {
+        clearTimeout(this._pollTimer);
+        this._pollTimer = setTimeout(() => this._poll(), delay);
+    }
+
+    async _poll() {
+        if (!this._onVisibilityChange) return;
+        this._pollDue = false;
+        if (document.hidden || navigator.onLine === false) {
+            this._pollDue = true;
+            return;
+        }
+        if (this._controller || this._isInteracting()) {
+            this._schedulePoll(Math.min(this._pollInterval, this.config.pollIdle || this._pollInterval));
+            return;
+        }
+
+        this._emit('poll', { page: this.lastPagination?.currentPage || 1 });
+        if (this.config.cache) this.invalidate();
+        await this.refresh({ silent: true });
+        if (this._onVisibilityChange) this._schedulePoll();
+    }
+
+    _bindInteractionEvents() {
+        const mark = () => {
+            this._lastInteraction = Date.now();
+        };
+        ['pointerdown', 'keydown', 'wheel', 'focusin'].forEach(type => {
+            this.elements.container.addEventListener(type, mark, { passive: true });
+        });
+    }
+
+    _isInteracting() {
+        const active = document.activeElement;
+        const typing = active && this.elements.container.contains(active)
+            && active.matches('input:not([type=checkbox]):not([type=radio]), select, textarea, [contenteditable]');
+        return !!typing
+            || !!this.elements.tbody.querySelector('.editing')
+            || Date.now() - this._lastInteraction < this.config.pollIdle;
+    }
+
+    /**
+     * Subscribes the table to a Laravel Echo event. `action` is 'refresh', 'patch',
+     * 'prepend' or `(payload, table) => {}`. Returns a function that unsubscribes.
+     */
+    listen({
+        channel,
+        event,
+        type = 'public',
+        action = 'refresh',
+        payloadKey = null,
+        highlight = true,
+        echo = this.config.echo || window.Echo
+    }) {
+        const stop = subscribe(echo, { channel, event, type }, (payload, name) => {
+            const rows = this._broadcastRows(payload, payloadKey);
+
+            if (typeof action === 'function') action(payload, this);
+            else if (action === 'patch') rows.forEach(row => this.patchRow(row, { highlight }));
+            else if (action === 'prepend') this.prependRows(rows, { highlight });
+            else this._broadcastRefresh();
+
+            if (action !== 'refresh' && this.config.cache) this.invalidate();
+            this._emit('broadcast', { channel, event: name, action, payload });
+        });
+
+        this._subscriptions.push(stop);
+        return () => {
+            stop();
+            this._subscriptions = this._subscriptions.filter(s => s !== stop);
+        };
+    }
+
+    stopListening() {
+        this._subscriptions.forEach(stop => stop());
+        this._subscriptions = [];
+    }
+
+    /**
+     * Stops polling, leaves Echo channels, cancels pending requests and timers and removes
+     * the listeners the table added outside its container. Call it before re-initialising
+     * a table on the same element.
+     */
+    destroy() {
+        this.stopPolling();
+        this.stopListening();
+        this.abort();
+        this.abortExport();
+        this.presets?.abort();
+        clearTimeout(this.debounceTimer);
+        clearTimeout(this._broadcastTimer);
+        this._teardown.forEach(remove => remove());
+        this._teardown = [];
+    }
+
+    _addListener(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._teardown.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    _broadcastRows(payload, payloadKey) {
+        const value = payloadKey
+            ? String(payloadKey).split('.').reduce((v, k) => v?.[k], payload)
+            : (payload?.[this.config.dataKey] ?? payload);
+        return [].concat(value || []).filter(row => row && typeof row === 'object');
+    }
+
+    _broadcastRefresh() {
+        // Collapse bursts of events into one request.
+        clearTimeout(this._broadcastTimer);
+        this._broadcastTimer = setTimeout(() => {
+            if (this.config.cache) this.invalidate();
+            this.refresh({ silent: true });
+        }, this.config.debounceTime);
+    }
+
+    /**
+     * Downloads the current result set as CSV or XLSX. With `allPages` every page of
+     * the current query is fetched first; call abortExport() to stop it.
+     */
+    async export({ format = 'csv', allPages = true, columns = null, filename = null } = {}) {
+        this.abortExport();
+        const controller = new AbortController();
+        this._exportController = controller;
+
+        try {
+            const rows = allPages ? await this._collectAllRows(controller.signal) : [...this.rows];
+            const cols = this._exportColumns(columns, rows);
+
+            const blob = format === 'xlsx' ? buildXlsx(cols, rows) : buildCsv(cols, rows);
+            const name = `${filename || this.config.exportFilename}.${format === 'xlsx' ? 'xlsx' : 'csv'}`;
+            downloadBlob(blob, name);
+            this._emit('exported', { format, filename: name, rows: rows.length });
+            return blob;
+        } catch (err) {
+            if (controller.signal.aborted) {
+                this._emit('exportabort', { format });
+                return null;
+            }
+            this._emit('exporterror', { format, error: err, message: err?.message || 'Export failed.' });
+            throw err;
+        } finally {
+            if (this._exportController === controller) this._exportController = null;
+        }
+    }
+
+    abortExport() {
+        this._exportController?.abort();
+    }
+
+    async _collectAllRows(signal) {
+        if (this.config.mode === 'client') {
+            const response = await this._clientResponse(1, { perPage: Infinity });
+            return response[this.config.dataKey];
+        }
+
+        const rows = [];
+        let target = { page: 1, cursor: null };
+        for (let count = 1; target; count++) {
+            if (signal.aborted) throw new DOMException('Export aborted.', 'AbortError');
+            const response = await this._fetchPage(target.page || 1, { signal, cursor: target.cursor || null });
+            const meta = response[this.config.metaKey] || {};
+            const state = resolvePagination(response, meta, this.config.paginationAdapters);
+            rows.push(...(response[this.config.dataKey] || []));
+
+            this._emit('exportprogress', {
+                page: count, lastPage: state?.lastPage ?? null, rows: rows.length, total: meta.total ?? null
+            });
+            target = state?.hasNext ? state.next : null;
+        }
+
+        return rows;
+    }
+
+    _exportColumns(columns, rows) {
+        const cols = columns || this.config.exportColumns;
+        if (Array.isArray(cols) && cols.length) return cols;
+        if (this.columns.length) return this.columns.filter(c => c.visible).map(({ key, label }) => ({ key, label }));
+
+        const sample = rows[0] || {};
+        return Object.keys(sample)
+            .filter(key => sample[key] === null || typeof sample[key] !== 'object')
+            .map(key => ({ key, label: key }));
+    }
+
+    _renderRows(data) {
+        if (!this.elements.tbody) return;
+        if (this.config.virtualScroll) {
+            // New data: load the details of expanded rows again, like the non-virtual path.
+            this._detailRows.clear();
+            return this._renderVirtualRows(true);
+        }
+        this.elements.tbody.innerHTML = '';
+
+        const fragment = document.createDocumentFragment();
+        data.forEach(row => fragment.appendChild(this._createRowElement(row)));
+
+        this.elements.tbody.appendChild(fragment);
+        this._syncSelectionUI();
+        this._restoreExpandedRows();
+    }
+
+    _initVirtualScroll(rowHeight) {
+        const { table } = this.elements;
+        const scroller = this.elements.scroller || table.parentElement;
+        this.elements.scroller = scroller;
+        this._virtual = { start: -1, end: -1, rowHeight: Math.max(parseFloat(rowHeight) || 40, 1), detailHeights: new Map() };
+
+        const { scrollHeight } = this.config;
+        scroller.style.overflowY = 'auto';
+        if (!scroller.style.height && !scroller.style.maxHeight) {
+            scroller.style.maxHeight = typeof scrollHeight === 'number' ? `${scrollHeight}px` : scrollHeight;
+        }
+
+        table.classList.add('table-pin-rows');
+        const thead = table.querySelector('thead');
+        if (thead) Object.assign(thead.style, { position: 'sticky', top: '0', zIndex: '1' });
+
+        let frame = null;
+        const onScroll = () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this._renderVirtualRows();
+            });
+        };
+        this._addListener(scroller, 'scroll', onScroll, { passive: true });
+        this._addListener(window, 'resize', onScroll);
+        this._teardown.push(() => cancelAnimationFrame(frame));
+    }
+
+    /**
+     * Renders only the rows inside the scroll viewport plus `overscan` rows on each side.
+     * Spacer rows above and below keep the scrollbar sized for the full result set,
+     * including the measured height of expanded detail rows. Scrolling doesn't re-render
+     * while a cell is being edited.
+     */
+    _renderVirtualRows(force = false) {
+        const { tbody, scroller, table } = this.elements;
+        const v = this._virtual;
+        const total = this.rows.length;
+        if (!force && tbody.querySelector('.editing')) return;
+
+        if (this._resetScroll) {
+            scroller.scrollTop = 0;
+            this._resetScroll = false;
+        }
+
+        const headerHeight = table.querySelector('thead')?.offsetHeight || 0;
+        const viewport = scroller.clientHeight || parseFloat(scroller.style.maxHeight) || 600;
+        const details = this._virtualDetails();
+
+        // Detail rows above the viewport push the rows below them down.
+        let offset = Math.max(scroller.scrollTop - headerHeight, 0);
+        for (const { index, height } of details) {
+            const bottom = (index + 1) * v.rowHeight;
+            if (bottom > offset) break;
+            offset = Math.max(offset - height, bottom - 1);
+        }
+
+        const first = Math.floor(offset / v.rowHeight);
+        const start = Math.min(Math.max(first - this.config.overscan, 0), total);
+        const end = Math.min(first + Math.ceil(viewport / v.rowHeight) + this.config.overscan, total);
+        if (!force && start === v.start && end === v.end) return;
+        v.start = start;
+        v.end = end;
+
+        const detailHeight = (from, to) => details
+            .filter(({ index }) => index >= from && index < to)
+            .reduce((sum, { height }) => sum + height, 0);
+
+        const fragment = document.createDocumentFragment();
+        if (start > 0) fragment.appendChild(this._virtualSpacer(start * v.rowHeight + detailHeight(0, start)));
+        this.rows.slice(start, end).forEach(row => fragment.appendChild(this._createRowElement(row)));
+        if (end < total) fragment.appendChild(this._virtualSpacer((total - end) * v.rowHeight + detailHeight(end, total)));
+
+        tbody.innerHTML = '';
+        tbody.appendChild(fragment);
+        this._syncSelectionUI();
+        this._reattachDetailRows();
+
+        // Replace the estimated row height with the measured one for the next pass.
+        const rendered = [...tbody.querySelectorAll(':scope > tr:not(.virtual-spacer):not(.detail-row)')];
+        const measured = rendered.reduce((sum, tr) => sum + tr.offsetHeight, 0) / (rendered.length || 1);
+        if (measured > 0 && Math.abs(measured - v.rowHeight) > 1) v.rowHeight = measured;
+    }
+
+    /**
+     * Expanded rows of the current page in row order, with the height of their detail row.
+     * Detail rows out of view keep the height they had when last rendered (0 if never).
+     */
+    _virtualDetails() {
+        if (!this.expanded.size) return [];
+        const heights = this._virtual.detailHeights;
+        const details = [];
+        this.rows.forEach((row, index) => {
+            const id = this._rowId(row);
+            if (id === null || !this.expanded.has(id)) return;
+            const detailTr = this._detailRows.get(id);
+            if (detailTr?.isConnected) heights.set(id, detailTr.offsetHeight);
+            details.push({ index, height: heights.get(id) || 0 });
+        });
+        return details;
+    }
+
+    _virtualSpacer(height) {
+        const tr = document.createElement('tr');
+        tr.className = 'virtual-spacer';
+        tr.setAttribute('aria-hidden', 'true');
+        const td = document.createElement('td');
+        td.colSpan = this._visibleColumnCount();
+        td.style.cssText = `height:${height}px;padding:0;border:0`;
+        tr.appendChild(td);
+        return tr;
+    }
+
+    /**
+     * Scrolls a virtualized table so the row at `index` (in the current page) is visible.
+     */
+    scrollToRow(index) {
+        if (!this._virtual) return;
+        const headerHeight = this.elements.table.querySelector('thead')?.offsetHeight || 0;
+        const above = this._virtualDetails().filter(detail => detail.index < index)
+            .reduce((sum, { height }) => sum + height, 0);
+        this.elements.scroller.scrollTop = Math.max(index, 0) * this._virtual.rowHeight + above + headerHeight;
+        this._renderVirtualRows();
+    }
+
+    _createRowElement(row) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = this._renderTemplate(row);
+        const rowEl = tr.children.length === 1 && tr.children[0].tagName === 'TR' ? tr.children[0] : tr;
+
+        const id = this._rowId(row);
+        if (id !== null) rowEl.dataset.id = id;
+        if (this.columns.length) {
+            this._tagRowColumns(rowEl);
+            this._applyColumnLayout(rowEl);
+        }
+        if (this.config.selectable) this._decorateSelectableRow(rowEl, row);
+        if (this.config.reorderable) this._decorateReorderableRow(rowEl);
+        rowEl.querySelectorAll('[data-toggle-detail]').forEach(btn => {
+            btn.setAttribute('aria-expanded', 'false');
+            if (btn.tagName !== 'BUTTON' && !btn.hasAttribute('tabindex')) {
+                btn.tabIndex = 0;
+                btn.setAttribute('role', 'button');
+            }
+        });
+        this._rowData.set(rowEl, row);
+        return rowEl;
+    }
+
+    _renderTemplate(row) {
+        if (typeof this.config.onRow === 'function') return this.config.onRow(row);
+        if (row.html) return row.html;
+
+        const tpl = document.getElementById(this.config.templateId);
+        if (!tpl) return '';
+        return this._interpolate(tpl.innerHTML, row);
+    }
+
+    _interpolate(html, row) {
+        return TemplateEngine.render(html, row);
+    }
+
+    setPerPage(perPage) {
+        const value = Math.max(parseInt(perPage) || this.perPage, 1);
+        if (value === this.perPage) return Promise.resolve();
+        this.perPage = value;
+        this._emit('perpagechange', { perPage: value });
+        return this.fetchData(1);
+    }
+
+    /**
+     * Binds the per-page select and jump-to-page input. Markup already inside the
+     * containers (a `<select>`, an `<input>` and `<button>`) is used as-is; otherwise
+     * it is generated.
+     */
+    _bindPageControls() {
+        const { perPage: perPageEl, jump: jumpEl } = this.elements;
+
+        if (perPageEl && this.config.perPageOptions) {
+            let select = perPageEl.querySelector('select');
+            if (!select) {
+                perPageEl.innerHTML = '<label class="flex items-center gap-2 text-sm"><span></span><select class="select select-sm select-bordered"></select></label>';
+                perPageEl.querySelector('span').textContent = this.config.perPageLabel;
+                select = perPageEl.querySelector('select');
+                this.config.perPageOptions.forEach(n => select.add(new Option(n, n)));
+            }
+            if (![...select.options].some(o => parseInt(o.value) === this.perPage)) {
+                select.add(new Option(this.perPage, this.perPage), 0);
+            }
+            select.value = String(this.perPage);
+            select.addEventListener('change', () => this.setPerPage(select.value));
+        }
+
+        if (jumpEl) {
+            let input = jumpEl.querySelector('input');
+            if (!input) {
+                jumpEl.innerHTML = '<div class="join"><input type="number" min="1" class="input input-sm input-bordered join-item w-20"><button type="button" class="btn btn-sm join-item"></button></div>';
+                jumpEl.querySelector('button').textContent = this.config.jumpLabel;
+                input = jumpEl.querySelector('input');
+            }
+            const go = () => {
+                const lastPage = this.lastPagination?.lastPage ?? this.lastMeta?.last_page;
+                const page = Number(input.value);
+                const valid = Number.isInteger(page) && page >= 1 && (!lastPage || page <= lastPage);
+                input.classList.toggle('input-error', !valid);
+                if (!valid) return;
+                this._emit('pageChange', { page, label: String(page) });
+                this.fetchData(page);
+            };
+            input.addEventListener('keydown', e => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    go();
+                }
+            });
+            input.addEventListener('input', () => input.classList.remove('input-error'));
+            jumpEl.querySelector('button')?.addEventListener('click', e => {
+                e.preventDefault();
+                go();
+            });
+        }
+    }
+
+    _renderPageControls(meta) {
+        const { perPage: perPageEl, jump: jumpEl, summary: summaryEl } = this.elements;
+
+        const select = perPageEl?.querySelector('select');
+        if (select && this.config.perPageOptions) select.value = String(this.perPage);
+
+        const lastPage = this.lastPagination?.lastPage ?? meta.last_page;
+        if (jumpEl) {
+            const input = jumpEl.querySelector('input');
+            if (input) {
+                if (lastPage) input.max = lastPage;
+                input.value = '';
+                input.placeholder = this.lastPagination?.currentPage ?? meta.current_page ?? '';
+            }
+            jumpEl.classList.toggle('hidden', !lastPage || lastPage <= 1);
+        }
+
+        if (summaryEl) {
+            const { from = null, to = null, total = null } = meta;
+            const template = this.config.summaryTemplate;
+            let text = '';
+            if (from != null && to != null) {
+                if (typeof template === 'function') text = template({ from, to, total, meta });
+                else if (typeof template === 'string') {
+                    text = template.replace(/\{(from|to|total)\}/g, (_, key) => ({ from, to, total })[key] ?? '');
+                } else {
+                    text = total != null ? `Showing ${from}–${to} of ${total}` : `Showing ${from}–${to}`;
+                }
+            }
+            // Plain text only: the template's output is never parsed as HTML.
+            summaryEl.textContent = text;
+            summaryEl.classList.toggle('hidden', !text);
+        }
+    }
+
+    _renderPagination(meta, state = null) {
+        const pagEl = this.elements.pagination;
+
+        if (pagEl && state && state.type !== 'length') {
+            pagEl.innerHTML = '';
+            if (!state.hasPrev && !state.hasNext) {
+                pagEl.classList.add('hidden');
+                return;
+            }
+            pagEl.classList.remove('hidden');
+            pagEl.appendChild(renderPrevNext(state, (target, rel) => {
+                this._emit('pageChange', { page: target.page ?? null, cursor: target.cursor ?? null, label: rel });
+                this.fetchData(target.page || 1, { cursor: target.cursor });
+            }, { prevLabel: this.config.prevLabel, nextLabel: this.config.nextLabel }));
+            return;
+        }
+
+        const links = state?.links || meta?.links;
+        const lastPage = state?.lastPage ?? meta?.last_page;
+        if (!pagEl || !links || lastPage <= 1) {
             pagEl?.classList.add('hidden');
             return;
         }
@@ -204,7 +2377,7 @@ export default class AjaxTable {
         pagEl.innerHTML = '';
 
         const fragment = document.createDocumentFragment();
-        meta.links.forEach(link => {
+        links.forEach(link => {
             const pageNum = new URL(link.url || '', window.location.origin).searchParams.get('page');
             const btn = document.createElement('button');
 
@@ -0,0 +1,43 @@
+/**
+ * BroadcastAdapter.js
+ *
+ * Thin wrapper around Laravel Echo used by AjaxTable.listen(). The Echo instance is passed
+ * in (defaulting to `window.Echo`), so anything with the same shape works, e.g. a fake in tests:
+ *
+ *   const fakeEcho = {
+ *       channel: () => fakeChannel,
+ *       private: () => fakeChannel,
+ *       join: () => fakeChannel
+ *   };
+ *   const fakeChannel = {
+ *       listen(event, cb) { this.cb = cb; return this; },
+ *       stopListening() { this.cb = null; return this; }
+ *   };
+ */
+
+/**
+ * Subscribes a handler to one or more events on an Echo channel.
+ * @param {Object} echo - A Laravel Echo instance.
+ * @param {Object} options
+ * @param {string} options.channel - Channel name, without the `private-`/`presence-` prefix.
+ * @param {string|Array<string>} options.event - Event name(s). Prefix with "." for custom broadcastAs names.
+ * @param {'public'|'private'|'presence'} [options.type='public']
+ * @param {Function} handler - Called with `(payload, event)`.
+ * @returns {Function} Unsubscribes the handler.
+ */
+export function subscribe(echo, { channel, event, type = 'public' }, handler) {
+    if (!echo) throw new Error('AjaxTable: Laravel Echo instance not found. Pass `echo` or set window.Echo.');
+    if (!channel || !event) throw new Error('AjaxTable: Broadcast subscriptions need a `channel` and an `event`.');
+
+    const chan = type === 'private' ? echo.private(channel)
+        : type === 'presence' ? echo.join(channel)
+            : echo.channel(channel);
+
+    const listeners = (Array.isArray(event) ? event : [event]).map(name => {
+        const listener = payload => handler(payload, name);
+        chan.listen(name, listener);
+        return [name, listener];
+    });
+
+    return () => listeners.forEach(([name, listener]) => chan.stopListening?.(name, listener));
+}
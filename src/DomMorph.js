@@ -0,0 +1,173 @@
+/**
+ * DomMorph.js
+ *
+ * Updates a container's children to match new markup while keeping the existing nodes
+ * wherever possible, so focus, media playback, open <details> and inner scroll positions
+ * survive a refresh. Used by AjaxDivBox with `renderStrategy: 'morph'`.
+ *
+ * Children are matched by their key attribute (`data-key` by default); unkeyed children are
+ * matched in order by tag name. Matched nodes are patched in place, new nodes are inserted
+ * and missing ones removed, optionally with enter/leave CSS classes:
+ *
+ *   import { morphChildren } from './DomMorph.js';
+ *   morphChildren(list, '<div data-key="1">One</div><div data-key="2">Two</div>', {
+ *       enterClass: 'opacity-0',
+ *       leaveClass: 'opacity-0',
+ *       leaveDuration: 300
+ *   });
+ */
+
+const LEAVING = 'data-morph-leaving';
+
+/**
+ * Morphs the children of `container` into `html`.
+ * @param {Element} container
+ * @param {string|Node} html - Markup, or a node (e.g. a DocumentFragment) whose children are the new content.
+ * @param {Object} [options]
+ * @param {string} [options.key='data-key'] - Attribute used to match children across renders.
+ * @param {string|null} [options.enterClass=null] - Classes added to inserted nodes and removed on the next frame.
+ * @param {string|null} [options.leaveClass=null] - Classes added to removed nodes before they are detached.
+ * @param {number} [options.leaveDuration=300] - Fallback delay before a leaving node is removed.
+ */
+export function morphChildren(container, html, options = {}) {
+    let source = html;
+    if (typeof html === 'string') {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        source = template.content;
+    }
+    patchChildren(container, source, { key: 'data-key', enterClass: null, leaveClass: null, leaveDuration: 300, ...options });
+}
+
+function keyOf(node, key) {
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute(key) : null;
+}
+
+function isLeaving(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.hasAttribute(LEAVING);
+}
+
+function patchChildren(parent, source, options) {
+    const current = [...parent.childNodes].filter(node => !isLeaving(node));
+    const keyed = new Map();
+    current.forEach(node => {
+        const key = keyOf(node, options.key);
+        if (key !== null && !keyed.has(key)) keyed.set(key, node);
+    });
+    const used = new Set();
+
+    const findMatch = (next) => {
+        const key = keyOf(next, options.key);
+        if (key !== null) {
+            const match = keyed.get(key);
+            return match && match.nodeName === next.nodeName && !used.has(match) ? match : null;
+        }
+        return current.find(node => !used.has(node)
+            && keyOf(node, options.key) === null
+            && node.nodeType === next.nodeType
+            && node.nodeName === next.nodeName) || null;
+    };
+
+    let cursor = parent.firstChild;
+    const skipLeaving = () => {
+        while (cursor && isLeaving(cursor)) cursor = cursor.nextSibling;
+    };
+
+    [...source.childNodes].forEach(next => {
+        skipLeaving();
+        const match = findMatch(next);
+
+        if (match) {
+            used.add(match);
+            if (match === cursor) {
+                cursor = cursor.nextSibling;
+            } else if (match.contains(document.activeElement)) {
+                // Detaching the focused element would blur it, so move the nodes before it instead.
+                const between = [];
+                for (let node = cursor; node && node !== match; node = node.nextSibling) between.push(node);
+                const after = match.nextSibling;
+                between.forEach(node => parent.insertBefore(node, after));
+                cursor = match.nextSibling;
+            } else {
+                parent.insertBefore(match, cursor);
+            }
+            patchNode(match, next, options);
+        } else {
+            const node = document.importNode(next, true);
+            parent.insertBefore(node, cursor);
+            enter(node, options);
+        }
+    });
+
+    current.forEach(node => {
+        if (!used.has(node)) leave(node, options);
+    });
+}
+
+function patchNode(from, to, options) {
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+        return;
+    }
+
+    syncAttributes(from, to);
+    if (from.nodeName === 'TEXTAREA') {
+        if (document.activeElement !== from && from.value !== to.value) from.value = to.value;
+        return;
+    }
+    patchChildren(from, from.nodeName === 'TEMPLATE' ? to.content : to, options);
+}
+
+function syncAttributes(from, to) {
+    [...to.attributes].forEach(({ name, value }) => {
+        if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+    });
+    [...from.attributes].forEach(({ name }) => {
+        if (to.hasAttribute(name) || name === LEAVING) return;
+        // Opened/closed by the user rather than by the markup.
+        if (name === 'open' && (from.nodeName === 'DETAILS' || from.nodeName === 'DIALOG')) return;
+        from.removeAttribute(name);
+    });
+
+    if (from.nodeName === 'INPUT' && document.activeElement !== from) {
+        if (from.type === 'checkbox' || from.type === 'radio') from.checked = to.hasAttribute('checked');
+        else if (from.type !== 'file') from.value = to.getAttribute('value') ?? '';
+    } else if (from.nodeName === 'OPTION') {
+        from.selected = to.hasAttribute('selected');
+    }
+}
+
+function classes(value) {
+    return String(value || '').split(/\s+/).filter(Boolean);
+}
+
+function enter(node, { enterClass }) {
+    const names = classes(enterClass);
+    if (!names.length || node.nodeType !== Node.ELEMENT_NODE) return;
+    node.classList.add(...names);
+    // Let the browser paint the start state so the removal transitions.
+    requestAnimationFrame(() => requestAnimationFrame(() => node.classList.remove(...names)));
+}
+
+function leave(node, { leaveClass, leaveDuration }) {
+    const names = classes(leaveClass);
+    if (!names.length || node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+    }
+
+    node.setAttribute(LEAVING, '');
+    node.classList.add(...names);
+    let removed = false;
+    const remove = () => {
+        if (removed) return;
+        removed = true;
+        node.remove();
+    };
+    const onEnd = (e) => {
+        if (e.target === node) remove();
+    };
+    node.addEventListener('transitionend', onEnd);
+    node.addEventListener('animationend', onEnd);
+    setTimeout(remove, leaveDuration);
+}
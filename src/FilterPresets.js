@@ -0,0 +1,328 @@
+/**
+ * FilterPresets.js
+ *
+ * Named filter presets for AjaxTable and AjaxDivBox filter forms. Created by the components
+ * through their `presets` option and exposed as `component.presets`:
+ *
+ *   new AjaxTable({
+ *       url: '/api/orders',
+ *       container: '#orders',
+ *       filterSelector: '#filters',
+ *       presets: { menu: '#filter-presets', scope: 'orders' }           // localStorage
+ *       // presets: { menu: '#filter-presets', url: '/api/filter-presets', scope: 'orders' }  // REST
+ *   });
+ *
+ * A preset is `{ id, name, filters, isDefault }`. Storage is any object with async
+ * `list()`, `save(preset)` and `remove(id)`; localStorage and REST storages are built in.
+ */
+
+// Ids may be numbers from the server but always come back from the menu as strings.
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+const uid = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Writes filter values into the named inputs of a filter form or container.
+ * Inputs whose name is missing from `values` are cleared.
+ * @param {Element} root
+ * @param {Object} values
+ */
+export function writeFilterInputs(root, values = {}) {
+    root?.querySelectorAll('input[name], select[name], textarea[name]').forEach(input => {
+        const value = values[input.name];
+        const list = Array.isArray(value) ? value.map(String) : value == null ? [] : [String(value)];
+        if (input.type === 'checkbox' || input.type === 'radio') {
+            input.checked = list.includes(input.value);
+        } else if (input.multiple) {
+            [...input.options].forEach(option => option.selected = list.includes(option.value));
+        } else if (input.type !== 'file') {
+            input.value = list[list.length - 1] ?? '';
+        }
+    });
+}
+
+/** Keeps presets in localStorage under one key per scope. */
+export class LocalPresetStorage {
+    constructor(key) {
+        this.key = key;
+    }
+
+    _read() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.key) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    _write(presets) {
+        window.localStorage.setItem(this.key, JSON.stringify(presets));
+    }
+
+    async list() {
+        return this._read();
+    }
+
+    async save(preset) {
+        const presets = this._read();
+        const saved = { ...preset, id: preset.id || uid() };
+        const index = presets.findIndex(p => sameId(p.id, saved.id));
+        if (index === -1) presets.push(saved);
+        else presets[index] = saved;
+        this._write(presets);
+        return saved;
+    }
+
+    async remove(id) {
+        this._write(this._read().filter(p => !sameId(p.id, id)));
+    }
+}
+
+/**
+ * Talks to a Laravel resource controller:
+ * GET url?scope=, POST url, PUT url/{id}, DELETE url/{id}. Responses may wrap presets in `data`.
+ * Requests are sent with `request(method, url, data, { signal })`; FilterPresets passes the
+ * component's own request method, so presets use its fetcher and CSRF headers.
+ */
+export class RestPresetStorage {
+    constructor(url, scope = null, request) {
+        this.url = url.replace(/\/$/, '');
+        this.scope = scope;
+        this.request = request;
+    }
+
+    async list({ signal } = {}) {
+        const query = this.scope ? `?${new URLSearchParams({ scope: this.scope })}` : '';
+        const response = await this.request('GET', `${this.url}${query}`, null, { signal });
+        return Array.isArray(response) ? response : (response?.data || []);
+    }
+
+    async save(preset) {
+        const payload = { ...preset, scope: this.scope };
+        const response = preset.id
+            ? await this.request('PUT', `${this.url}/${encodeURIComponent(preset.id)}`, payload)
+            : await this.request('POST', this.url, payload);
+        return response?.data || response;
+    }
+
+    async remove(id) {
+        await this.request('DELETE', `${this.url}/${encodeURIComponent(id)}`);
+    }
+}
+
+export default class FilterPresets {
+    /**
+     * @param {Object} component - The AjaxTable or AjaxDivBox owning the filter form.
+     * @param {Object} [options]
+     * @param {string|Element|null} [options.menu=null] - Element to render the presets dropdown into.
+     * @param {string|null} [options.scope=null] - Separates presets of different lists. Defaults to the container id.
+     * @param {string|null} [options.url=null] - REST endpoint; uses RestPresetStorage when set.
+     * @param {Object|null} [options.storage=null] - Custom storage with list/save/remove.
+     * @param {string} [options.label='Presets']
+     * @param {string} [options.saveLabel='Save current filters…']
+     */
+    constructor(component, {
+        menu = null,
+        scope = null,
+        url = null,
+        storage = null,
+        label = 'Presets',
+        saveLabel = 'Save current filters…'
+    } = {}) {
+        this.component = component;
+        this.scope = scope || component.elements.container?.id || window.location.pathname;
+        this.storage = storage || (url
+            ? new RestPresetStorage(url, this.scope, (...args) => component._request(...args))
+            : new LocalPresetStorage(`filterpresets:${this.scope}`));
+        this.menu = typeof menu === 'string' ? document.querySelector(menu) : menu;
+        this.labels = { label, saveLabel };
+        this.presets = [];
+        this.active = null;
+        this._controller = null;
+    }
+
+    /**
+     * Loads the presets from storage and renders the menu. A new load cancels the one in flight.
+     * @returns {Promise<Array<Object>>}
+     */
+    async load() {
+        this.abort();
+        const controller = new AbortController();
+        this._controller = controller;
+        try {
+            this.presets = await this.storage.list({ signal: controller.signal });
+        } catch (err) {
+            if (controller.signal.aborted || this.component._isAbortError(err)) return this.list();
+            console.error('FilterPresets: Failed to load presets.', err);
+            this.presets = [];
+        } finally {
+            if (this._controller === controller) this._controller = null;
+        }
+        this._changed(false);
+        return this.presets;
+    }
+
+    abort() {
+        this._controller?.abort();
+    }
+
+    list() {
+        return this.presets.map(p => ({ ...p }));
+    }
+
+    getDefault() {
+        return this.presets.find(p => p.isDefault) || null;
+    }
+
+    /**
+     * Saves the component's current filters under `name`, replacing a preset with the same name.
+     */
+    async save(name, filters = this.component.filters) {
+        name = String(name || '').trim();
+        if (!name) return null;
+        const existing = this.presets.find(p => p.name === name);
+        const saved = await this.storage.save({
+            ...(existing || { isDefault: false }),
+            name,
+            filters: { ...filters }
+        });
+        this._upsert(saved);
+        this.active = saved.id;
+        this._changed();
+        return saved;
+    }
+
+    /**
+     * Writes a preset's filters into the form and reloads the first page.
+     */
+    apply(id) {
+        const preset = this.presets.find(p => sameId(p.id, id));
+        if (!preset) return Promise.resolve();
+        this.active = preset.id;
+        this._renderMenu();
+        this.component._emit('presetapply', { preset: { ...preset } });
+        return this.component.setFilters(preset.filters);
+    }
+
+    /**
+     * Writes the default preset into the form unless it already has filter values
+     * (e.g. restored from the URL). Used by the components' init(); does not fetch.
+     */
+    applyDefault() {
+        const preset = this.getDefault();
+        if (!preset || Object.keys(this.component.filters).length) return false;
+        this.active = preset.id;
+        this._renderMenu();
+        this.component.setFilters(preset.filters, { fetch: false });
+        return true;
+    }
+
+    async rename(id, name) {
+        const preset = this.presets.find(p => sameId(p.id, id));
+        name = String(name || '').trim();
+        if (!preset || !name) return null;
+        const saved = await this.storage.save({ ...preset, name });
+        this._upsert(saved);
+        this._changed();
+        return saved;
+    }
+
+    async remove(id) {
+        await this.storage.remove(id);
+        this.presets = this.presets.filter(p => !sameId(p.id, id));
+        if (sameId(this.active, id)) this.active = null;
+        this._changed();
+    }
+
+    /**
+     * Marks a preset as the one applied on init(); pass null to clear the default.
+     */
+    async setDefault(id) {
+        const updates = this.presets
+            .filter(p => !!p.isDefault !== sameId(p.id, id))
+            .map(p => this.storage.save({ ...p, isDefault: sameId(p.id, id) }));
+        (await Promise.all(updates)).forEach(saved => this._upsert(saved));
+        this._changed();
+    }
+
+    _upsert(preset) {
+        const index = this.presets.findIndex(p => sameId(p.id, preset.id));
+        if (index === -1) this.presets.push(preset);
+        else this.presets[index] = preset;
+    }
+
+    _changed(emit = true) {
+        this._renderMenu();
+        if (emit) this.component._emit('presetchange', { presets: this.list() });
+    }
+
+    _renderMenu() {
+        const menu = this.menu;
+        if (!menu) return;
+
+        const wasOpen = !!menu.querySelector('details')?.open;
+        menu.innerHTML = `
+            <details class="dropdown filter-presets">
+                <summary class="btn btn-sm"></summary>
+                <ul class="dropdown-content menu bg-base-100 rounded-box z-10 w-64 p-2 shadow"></ul>
+            </details>`;
+        menu.querySelector('summary').textContent = this.labels.label;
+        if (wasOpen) menu.querySelector('details').open = true;
+
+        const list = menu.querySelector('ul');
+        this.presets.forEach(preset => {
+            const li = document.createElement('li');
+            li.innerHTML = `
+                <div class="flex items-center gap-1">
+                    <button type="button" class="flex-1 text-left" data-preset-apply></button>
+                    <button type="button" class="btn btn-ghost btn-xs" data-preset-default></button>
+                    <button type="button" class="btn btn-ghost btn-xs" data-preset-rename aria-label="Rename">✎</button>
+                    <button type="button" class="btn btn-ghost btn-xs" data-preset-delete aria-label="Delete">✕</button>
+                </div>`;
+            li.firstElementChild.dataset.presetId = preset.id;
+            li.firstElementChild.classList.toggle('active', sameId(preset.id, this.active));
+            li.querySelector('[data-preset-apply]').textContent = preset.name;
+            const star = li.querySelector('[data-preset-default]');
+            star.textContent = preset.isDefault ? '★' : '☆';
+            star.setAttribute('aria-label', preset.isDefault ? 'Remove as default' : 'Use as default');
+            star.setAttribute('aria-pressed', String(!!preset.isDefault));
+            list.appendChild(li);
+        });
+
+        const saveLi = document.createElement('li');
+        saveLi.innerHTML = '<button type="button" data-preset-save></button>';
+        saveLi.firstChild.textContent = this.labels.saveLabel;
+        list.appendChild(saveLi);
+
+        if (menu._presetsBound) return;
+        menu._presetsBound = true;
+        menu.addEventListener('click', e => {
+            const btn = e.target.closest('button');
+            if (!btn || !menu.contains(btn)) return;
+            const id = btn.closest('[data-preset-id]')?.dataset.presetId;
+            const preset = this.presets.find(p => sameId(p.id, id));
+            // Kept apart from 'error', which reports failed list loads.
+            const fail = action => err => this.component._emit('preseterror', {
+                action,
+                preset: preset ? { ...preset } : null,
+                error: err,
+                message: err?.response?.data?.message || err?.message || 'Failed to save presets.'
+            });
+
+            if (btn.matches('[data-preset-save]')) {
+                const name = window.prompt('Preset name', this.presets.find(p => sameId(p.id, this.active))?.name || '');
+                if (name) this.save(name).catch(fail('save'));
+            } else if (btn.matches('[data-preset-apply]')) {
+                this.apply(id);
+                menu.querySelector('details')?.removeAttribute('open');
+            } else if (btn.matches('[data-preset-default]')) {
+                this.setDefault(preset?.isDefault ? null : id).catch(fail('default'));
+            } else if (btn.matches('[data-preset-rename]')) {
+                const name = window.prompt('Preset name', preset?.name || '');
+                if (name) this.rename(id, name).catch(fail('rename'));
+            } else if (btn.matches('[data-preset-delete]')) {
+                if (window.confirm(`Delete preset "${preset?.name}"?`)) this.remove(id).catch(fail('remove'));
+            }
+        });
+    }
+}
@@ -1,3 +1,5 @@
+import FormValidator from './FormValidator.js';
+
 export default class FormSubmit {
     constructor(config = {}) {
         this.config = Object.assign({
@@ -15,9 +17,18 @@ export default class FormSubmit {
             afterSubmit: null,
             getUrl: null,
             buttonOnly: false,
+            validate: true,
+            rules: {},
+            validationMessages: {},
+            attributes: {},
+            liveValidation: true,
+            progressBar: false,
         }, config);
 
-        this.handlers = { success: [], error: [], beforeSubmit: [], afterSubmit: [] };
+        this.handlers = {
+            success: [], error: [], beforeSubmit: [], afterSubmit: [], invalid: [], progress: [], cancel: []
+        };
+        this._controller = null;
 
         this.form = this._getFormElement(this.config.formSelector);
         this.submitButton = this._getSubmitButton();
@@ -27,6 +38,16 @@ export default class FormSubmit {
         if (!this.submitButton) throw new Error('Submit button not found.');
 
         this.originalButtonText = this.submitButton.querySelector('.button-text')?.textContent || this.submitButton.textContent;
+        // Validates inputs with data-rules before sending; see FormValidator.js.
+        this.validator = this.form && !this.isButtonOnly && this.config.validate
+            ? new FormValidator(this.form, {
+                rules: this.config.rules,
+                messages: this.config.validationMessages,
+                attributes: this.config.attributes
+            })
+            : null;
+        this._submitted = false;
+        this.progressElement = this._getProgressElement();
         this._setupEventListeners();
     }
 
@@ -54,6 +75,24 @@ export default class FormSubmit {
         return null;
     }
 
+    _getProgressElement() {
+        const target = this.config.progressBar;
+        if (!target) return null;
+        if (target instanceof HTMLElement) return target;
+        if (typeof target === 'string') return document.querySelector(target);
+
+        // progressBar: true uses a [data-progress] element in the form, or adds a bar after the button.
+        const existing = this.form?.querySelector('[data-progress]');
+        if (existing) return existing;
+        const bar = document.createElement('progress');
+        bar.className = 'progress progress-primary w-full mt-2 hidden';
+        bar.max = 100;
+        bar.value = 0;
+        bar.dataset.progress = '';
+        this.submitButton.after(bar);
+        return bar;
+    }
+
     _setupEventListeners() {
         this.submitButton.addEventListener('click', e => {
             e.preventDefault();
@@ -68,9 +107,52 @@ export default class FormSubmit {
                 this._handleSubmit();
             });
         }
+
+        this.form?.querySelector('[data-cancel]')?.addEventListener('click', e => {
+            e.preventDefault();
+            this.cancel();
+        });
+
+        if (this.validator && this.config.liveValidation) {
+            // Fields are only checked as the user goes once a submit has shown the errors.
+            const revalidate = e => {
+                const name = e.target?.name;
+                if (!this._submitted || !name || !this.form.contains(e.target)) return;
+                this._validateInput(name);
+            };
+            this.form.addEventListener('input', revalidate);
+            this.form.addEventListener('change', revalidate);
+            this.form.addEventListener('focusout', revalidate);
+        }
+    }
+
+    async _validateInput(name) {
+        const key = name.replace(/\[\]$/, '');
+        const names = [key];
+        // Editing a password re-checks its confirmation, and the other way around.
+        if (key.endsWith('_confirmation')) names.push(key.slice(0, -'_confirmation'.length));
+        else names.push(`${key}_confirmation`);
+
+        for (const field of names) {
+            if (!this.validator.fields().includes(field)) continue;
+            this._setFieldErrors(field, await this.validator.validateField(field));
+        }
     }
 
     async _handleSubmit() {
+        // Errors from the previous attempt (client-side or from the server) go away on resubmit.
+        this._clearErrors();
+        if (this.validator) {
+            this._submitted = true;
+            const { valid, errors } = await this.validator.validate();
+            if (!valid) {
+                this._showErrors(errors);
+                this._focusFirstError(errors);
+                this._emit('invalid', { errors, form: this.form });
+                return;
+            }
+        }
+
         let formData = new FormData(this.isButtonOnly ? undefined : this.form);
 
         if (this.isButtonOnly && this.submitButton.dataset.data) {
@@ -101,24 +183,34 @@ export default class FormSubmit {
             return;
         }
 
+        this.cancel();
+        const controller = new AbortController();
+        this._controller = controller;
+        const signal = controller.signal;
+        const onProgress = this._trackProgress();
+
         this._setLoading(true);
         let response, success = false;
 
         try {
-            if (this.config.method === 'axios' && window.axios) {
-                const resp = await axios({ url: action, method: method.toLowerCase(), data: formData });
-                response = resp.data ?? resp;
-            } else if (this.config.method === 'xhr') {
-                response = await this._sendWithXHR(action, formData, method);
-            } else {
-                response = await this._sendWithFetch(action, formData, method);
-            }
+            // Once the request has settled there is nothing left to cancel, so cancel() can't
+            // undo disableOnSuccess while the success handlers run.
+            response = await this._send(action, formData, method, { signal, onProgress }).finally(() => {
+                if (this._controller === controller) this._controller = null;
+            });
 
             success = true;
+            this._hideProgress();
             await this._handleSuccess(response);
             if (!this.config.disableOnSuccess) this._setLoading(false);
         } catch (error) {
             response = error;
+            if (signal.aborted) {
+                // cancel() has already restored the button; a newer submit may be running now.
+                this._emit('cancel', { form: this.form, button: this.submitButton });
+                return;
+            }
+            this._hideProgress();
             await this._handleError(error);
             this._setLoading(false);
         }
@@ -133,18 +225,42 @@ export default class FormSubmit {
         }
     }
 
-    async _sendWithFetch(url, fd, method) {
-        const res = await fetch(url, { method, body: fd, headers: { 'Accept': 'application/json' } });
+    async _send(action, formData, method, { signal, onProgress }) {
+        if (this.config.method === 'axios' && window.axios) {
+            const resp = await axios({
+                url: action,
+                method: method.toLowerCase(),
+                data: formData,
+                signal,
+                onUploadProgress: e => onProgress(e.loaded, e.total)
+            });
+            return resp.data ?? resp;
+        }
+        if (this.config.method === 'xhr' || this._wantsProgress()) {
+            // fetch can't report upload progress, so uploads someone is watching go through XHR.
+            return this._sendWithXHR(action, formData, method, { signal, onProgress });
+        }
+        return this._sendWithFetch(action, formData, method, { signal });
+    }
+
+    async _sendWithFetch(url, fd, method, { signal } = {}) {
+        const res = await fetch(url, { method, body: fd, headers: { 'Accept': 'application/json' }, signal });
         const data = await res.json().catch(() => ({}));
         if (!res.ok) throw { response: { data, status: res.status } };
         return data;
     }
 
-    _sendWithXHR(url, fd, method) {
+    _sendWithXHR(url, fd, method, { signal, onProgress } = {}) {
         return new Promise((resolve, reject) => {
             const xhr = new XMLHttpRequest();
             xhr.open(method, url);
             xhr.setRequestHeader('Accept', 'application/json');
+            if (onProgress) xhr.upload.onprogress = e => onProgress(e.loaded, e.lengthComputable ? e.total : 0);
+            if (signal) {
+                if (signal.aborted) return reject(new DOMException('Request aborted.', 'AbortError'));
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+            xhr.onabort = () => reject(new DOMException('Request aborted.', 'AbortError'));
             xhr.onload = () => {
                 try {
                     const json = JSON.parse(xhr.responseText);
@@ -160,6 +276,61 @@ export default class FormSubmit {
         });
     }
 
+    _wantsProgress() {
+        return !!this.progressElement || this.handlers.progress.length > 0;
+    }
+
+    /**
+     * Returns a callback turning (loaded, total) into 'progress' events with rate and ETA,
+     * and updating the progress bar and button text.
+     */
+    _trackProgress() {
+        const started = Date.now();
+        return (loaded, total) => {
+            const elapsed = (Date.now() - started) / 1000;
+            const rate = elapsed > 0 ? loaded / elapsed : 0;
+            const percent = total ? Math.min(Math.round(loaded / total * 100), 100) : null;
+            const eta = total && rate ? Math.max((total - loaded) / rate, 0) : null;
+            const progress = { percent, loaded, total: total || null, rate, eta };
+
+            this._renderProgress(progress);
+            this._emit('progress', progress);
+        };
+    }
+
+    _renderProgress({ percent }) {
+        const el = this.progressElement;
+        if (!el) return;
+        const bar = el.tagName === 'PROGRESS' ? el : (el.querySelector('progress') || this._createProgress(el));
+        el.classList.remove('hidden');
+        // Without a total the bar stays indeterminate.
+        if (percent == null) bar.removeAttribute('value');
+        else bar.value = percent;
+        const text = el.querySelector('[data-progress-text]');
+        if (text) text.textContent = percent == null ? '' : `${percent}%`;
+
+        const btnText = this.submitButton.querySelector('.button-text') || this.submitButton;
+        const loadingText = this.submitButton.dataset.loadingText || 'Loading…';
+        btnText.textContent = percent == null ? loadingText : `${loadingText} ${percent}%`;
+    }
+
+    _createProgress(container) {
+        const bar = document.createElement('progress');
+        bar.className = 'progress progress-primary w-full';
+        bar.max = 100;
+        bar.value = 0;
+        container.prepend(bar);
+        return bar;
+    }
+
+    _hideProgress() {
+        const el = this.progressElement;
+        if (!el) return;
+        el.classList.add('hidden');
+        const bar = el.tagName === 'PROGRESS' ? el : el.querySelector('progress');
+        if (bar) bar.value = 0;
+    }
+
     _setLoading(loading) {
         if (!this.submitButton) return;
         const btnText = this.submitButton.querySelector('.button-text');
@@ -189,21 +360,33 @@ export default class FormSubmit {
         const d = err.response?.data || err;
         const msg = d?.message || this.config.errorMessage;
 
-        if (d?.errors && this.form) {
-            Object.entries(d.errors).forEach(([name, messages]) => {
-                const inputName = name.includes('.') ? name.replace('.', '[') + ']' : name;
-                const el = this.form.querySelector(`.form-error[data-input="${inputName}"]`);
-                if (el) {
-                    el.textContent = Array.isArray(messages) ? messages.join(' ') : messages;
-                    el.classList.remove('hidden');
-                }
-            });
-        }
+        if (d?.errors && this.form) this._showErrors(d.errors);
 
         this._showMessage(msg, 'error');
         this._emit('error', err);
     }
 
+    _showErrors(errors) {
+        Object.entries(errors).forEach(([name, messages]) => {
+            const inputName = name.includes('.') ? name.replace('.', '[') + ']' : name;
+            this._setFieldErrors(inputName, messages);
+        });
+    }
+
+    _setFieldErrors(inputName, messages) {
+        const el = this.form?.querySelector(`.form-error[data-input="${inputName}"]`);
+        if (!el) return;
+        const text = Array.isArray(messages) ? messages.join(' ') : (messages || '');
+        el.textContent = text;
+        el.classList.toggle('hidden', !text);
+    }
+
+    _focusFirstError(errors) {
+        const names = Object.keys(errors);
+        const input = [...this.form.elements].find(el => names.includes(el.name?.replace(/\[\]$/, '')));
+        input?.focus?.();
+    }
+
     _clearErrors() {
         if (!this.form) return;
         this.form.querySelectorAll('.form-error[data-input]').forEach(span => {
@@ -229,6 +412,7 @@ export default class FormSubmit {
         }
         this.form.reset();
         this._clearErrors();
+        this._submitted = false;
         this._setLoading(false);
     }
 
@@ -236,6 +420,27 @@ export default class FormSubmit {
         this._handleSubmit();
     }
 
+    /**
+     * Aborts the request in flight and restores the submit button. Returns false when
+     * nothing was being sent.
+     */
+    cancel() {
+        if (!this._controller) return false;
+        this._controller.abort();
+        this._controller = null;
+        this._hideProgress();
+        this._setLoading(false);
+        return true;
+    }
+
+    async validate() {
+        if (!this.validator) return true;
+        this._clearErrors();
+        const { valid, errors } = await this.validator.validate();
+        this._showErrors(errors);
+        return valid;
+    }
+
     getFormData() {
         if (!this.form) {
             console.warn('FormSubmit: No form available.');
@@ -0,0 +1,331 @@
+/**
+ * FormValidator.js
+ *
+ * Client-side validation from Laravel-style rule strings, used by FormSubmit before a form
+ * is sent. Inputs declare their rules in `data-rules`:
+ *
+ *   <input name="email" data-rules="required|email|max:255">
+ *   <input name="password" type="password" data-rules="required|min:8|confirmed">
+ *   <input name="avatar" type="file" data-rules="mimes:jpg,png|max:2048">     (KB, like Laravel)
+ *   <input name="company" data-rules="required_if:type,business" data-attribute="company name">
+ *
+ * Messages follow Laravel's default English ones and can be translated globally or per form:
+ *
+ *   FormValidator.setMessages({ required: 'Le champ :attribute est obligatoire.' });
+ *   new FormValidator(form, { messages: { 'email.required': 'We need your e-mail.' } });
+ *
+ * `nullable`, `string`, `sometimes` and `bail` are accepted as in Laravel; `bail` stops at a
+ * field's first error.
+ *
+ * Custom rules return true when the value passes, or a message string when it doesn't;
+ * they may be async:
+ *
+ *   FormValidator.registerRule('uppercase', value => value === value.toUpperCase(),
+ *       'The :attribute field must be uppercase.');
+ */
+
+const messages = {
+    required: 'The :attribute field is required.',
+    required_if: 'The :attribute field is required when :other is :value.',
+    email: 'The :attribute field must be a valid email address.',
+    numeric: 'The :attribute field must be a number.',
+    integer: 'The :attribute field must be an integer.',
+    min: {
+        numeric: 'The :attribute field must be at least :min.',
+        file: 'The :attribute field must be at least :min kilobytes.',
+        string: 'The :attribute field must be at least :min characters.',
+        array: 'The :attribute field must have at least :min items.'
+    },
+    max: {
+        numeric: 'The :attribute field must not be greater than :max.',
+        file: 'The :attribute field must not be greater than :max kilobytes.',
+        string: 'The :attribute field must not be greater than :max characters.',
+        array: 'The :attribute field must not have more than :max items.'
+    },
+    between: {
+        numeric: 'The :attribute field must be between :min and :max.',
+        file: 'The :attribute field must be between :min and :max kilobytes.',
+        string: 'The :attribute field must be between :min and :max characters.',
+        array: 'The :attribute field must have between :min and :max items.'
+    },
+    regex: 'The :attribute field format is invalid.',
+    confirmed: 'The :attribute field confirmation does not match.',
+    in: 'The selected :attribute is invalid.',
+    date: 'The :attribute field must be a valid date.',
+    mimes: 'The :attribute field must be a file of type: :values.'
+};
+
+// Rules that run on empty values; every other rule only checks fields that have a value.
+const IMPLICIT = new Set(['required', 'required_if']);
+
+// Laravel rules that change how the others run (or only matter server-side) and never fail here.
+const MODIFIERS = new Set(['nullable', 'string', 'sometimes', 'bail']);
+
+// Unknown rule names already reported, so live validation doesn't warn on every keystroke.
+const warned = new Set();
+
+const EXTENSION_ALIASES = { jpg: ['jpeg', 'jpe'], jpeg: ['jpg', 'jpe'], tif: ['tiff'], tiff: ['tif'], htm: ['html'], html: ['htm'] };
+
+const isEmpty = (value) => value == null
+    || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+
+const isNumeric = (value) => typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value));
+
+/**
+ * The value Laravel's size rules compare: the number itself, the length of a string or
+ * array, or the size of each file in kilobytes.
+ */
+const sizesOf = (value, type) => {
+    if (type === 'file') return [].concat(value).map(file => file.size / 1024);
+    if (type === 'array') return [value.length];
+    if (type === 'numeric') return [Number(value)];
+    return [String(value).length];
+};
+
+const rules = {
+    required: (value) => !isEmpty(value),
+
+    required_if: (value, [other, ...values], { validator }) => {
+        const current = [].concat(validator.valueOf(other) ?? '').map(String);
+        // A checked checkbox counts as true/1/on, like Laravel's boolean casts.
+        const matches = values.some(v => current.includes(v)
+            || (['true', '1', 'on'].includes(v) && validator.isChecked(other)));
+        return !matches || !isEmpty(value);
+    },
+
+    email: (value) => [].concat(value).every(v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v).trim())),
+
+    numeric: (value) => [].concat(value).every(isNumeric),
+
+    integer: (value) => [].concat(value).every(v => /^[+-]?\d+$/.test(String(v).trim())),
+
+    min: (value, [min], { type }) => sizesOf(value, type).every(size => size >= Number(min)),
+
+    max: (value, [max], { type }) => sizesOf(value, type).every(size => size <= Number(max)),
+
+    between: (value, [min, max], { type }) => sizesOf(value, type).every(size => size >= Number(min) && size <= Number(max)),
+
+    regex: (value, [pattern]) => {
+        const match = /^(.)([\s\S]*)\1([a-z]*)$/.exec(pattern || '');
+        if (!match) return true;
+        const flags = [...match[3]].filter(flag => 'imsu'.includes(flag)).join('');
+        const regex = new RegExp(match[2], flags);
+        return [].concat(value).every(v => regex.test(String(v)));
+    },
+
+    confirmed: (value, params, { name, validator }) => String(value) === String(validator.valueOf(`${name}_confirmation`) ?? ''),
+
+    in: (value, values) => [].concat(value).every(v => values.includes(String(v))),
+
+    date: (value) => [].concat(value).every(v => !Number.isNaN(Date.parse(String(v)))),
+
+    mimes: (value, extensions) => {
+        const allowed = extensions.map(ext => ext.toLowerCase());
+        return [].concat(value).every(file => {
+            const ext = String(file?.name || '').split('.').pop().toLowerCase();
+            return allowed.includes(ext) || (EXTENSION_ALIASES[ext] || []).some(alias => allowed.includes(alias));
+        });
+    }
+};
+
+/**
+ * Splits "required|regex:/^a|b$/|max:5" into rules. Pipes inside a regex pattern are kept,
+ * which Laravel itself only allows with array syntax.
+ * @param {string} source
+ * @returns {Array<{ name: string, params: Array<string> }>}
+ */
+export function parseRules(source) {
+    const parts = String(source || '').split('|');
+    const parsed = [];
+    for (let i = 0; i < parts.length; i++) {
+        let part = parts[i];
+        if (/^regex:/.test(part)) {
+            while (i + 1 < parts.length && !/^regex:(.)[\s\S]*\1[a-z]*$/.test(part)) part += `|${parts[++i]}`;
+            parsed.push({ name: 'regex', params: [part.slice(6)] });
+            continue;
+        }
+        const index = part.indexOf(':');
+        const name = (index === -1 ? part : part.slice(0, index)).trim();
+        if (!name) continue;
+        parsed.push({ name, params: index === -1 ? [] : part.slice(index + 1).split(',').map(p => p.trim()) });
+    }
+    return parsed;
+}
+
+export default class FormValidator {
+    /**
+     * @param {HTMLFormElement} form
+     * @param {Object} [options]
+     * @param {Object<string, function>} [options.rules={}] - Custom rules for this form, `(value, params, context) => true|string`.
+     * @param {Object<string, string|Object>} [options.messages={}] - Message overrides: `rule`, `rule.type` for
+     *   min/max/between, or `field.rule` for a single field.
+     * @param {Object<string, string>} [options.attributes={}] - Display names of fields, by input name.
+     */
+    constructor(form, { rules: customRules = {}, messages: customMessages = {}, attributes = {} } = {}) {
+        this.form = form;
+        this.rules = customRules;
+        this.messages = customMessages;
+        this.attributes = attributes;
+    }
+
+    /**
+     * Adds a rule available to every form.
+     * @param {string} name
+     * @param {function(*, Array<string>, Object): (boolean|string|Promise<boolean|string>)} fn
+     * @param {string} [message]
+     */
+    static registerRule(name, fn, message) {
+        rules[name] = fn;
+        if (message) messages[name] = message;
+    }
+
+    /**
+     * Replaces default messages, e.g. with translations. Size rules take an object keyed by
+     * numeric, file, string and array.
+     * @param {Object<string, string|Object>} overrides
+     */
+    static setMessages(overrides) {
+        Object.assign(messages, overrides);
+    }
+
+    /**
+     * Field names with a `data-rules` input; checkbox groups and `[]` names count once.
+     * @returns {Array<string>}
+     */
+    fields() {
+        const names = [...this.form.querySelectorAll('[name][data-rules]')].map(input => this._key(input.name));
+        return [...new Set(names)];
+    }
+
+    /**
+     * Validates every field with rules.
+     * @returns {Promise<{ valid: boolean, errors: Object<string, Array<string>> }>}
+     */
+    async validate() {
+        const errors = {};
+        await Promise.all(this.fields().map(async name => {
+            const fieldErrors = await this.validateField(name);
+            if (fieldErrors.length) errors[name] = fieldErrors;
+        }));
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Validates one field and returns its error messages. Like Laravel, a failed `required`
+     * stops the field's other rules.
+     * @param {string} name - Input name, with or without a trailing `[]`.
+     * @returns {Promise<Array<string>>}
+     */
+    async validateField(name) {
+        const key = this._key(name);
+        const inputs = this._inputs(key);
+        const source = inputs.find(input => input.dataset.rules)?.dataset.rules;
+        if (!source || inputs.every(input => input.disabled)) return [];
+
+        const parsed = parseRules(source);
+        const value = this.valueOf(key);
+        const type = this._sizeType(inputs, parsed);
+        const context = { name: key, inputs, input: inputs[0], form: this.form, type, validator: this };
+        const bail = parsed.some(({ name: rule }) => rule === 'bail');
+        const errors = [];
+
+        for (const { name: rule, params } of parsed) {
+            // An empty value only goes through implicit rules, `nullable` or not.
+            if (!IMPLICIT.has(rule) && isEmpty(value)) continue;
+            const fn = this.rules[rule] || rules[rule];
+            if (typeof fn !== 'function') {
+                if (!MODIFIERS.has(rule) && !warned.has(rule)) {
+                    warned.add(rule);
+                    console.warn(`FormValidator: Unknown rule "${rule}".`);
+                }
+                continue;
+            }
+
+            const result = await fn(value, params, context);
+            if (result === true) continue;
+            errors.push(this._message(key, rule, params, type, typeof result === 'string' ? result : null));
+            if (IMPLICIT.has(rule) || bail) break;
+        }
+        return errors;
+    }
+
+    /**
+     * Current value of a field: a string, an array for checkbox groups, multiple selects and
+     * `[]` names, or an array of Files for file inputs. Empty when nothing is filled in.
+     * @param {string} name
+     * @returns {string|Array|null}
+     */
+    valueOf(name) {
+        const key = this._key(name);
+        const inputs = this._inputs(key);
+        if (!inputs.length) return null;
+
+        const values = [];
+        inputs.forEach(input => {
+            if (input.disabled) return;
+            if (input.type === 'file') values.push(...input.files);
+            else if (input.type === 'checkbox' || input.type === 'radio') {
+                if (input.checked) values.push(input.value);
+            } else if (input.tagName === 'SELECT' && input.multiple) {
+                values.push(...[...input.selectedOptions].map(option => option.value));
+            } else {
+                values.push(input.value);
+            }
+        });
+
+        const first = inputs[0];
+        const many = inputs.some(input => input.name.endsWith('[]') || input.multiple)
+            || first.type === 'file'
+            || (first.type === 'checkbox' && inputs.length > 1);
+        return many ? values : (values[0] ?? '');
+    }
+
+    isChecked(name) {
+        return this._inputs(this._key(name)).some(input => (input.type === 'checkbox' || input.type === 'radio') && input.checked);
+    }
+
+    _key(name) {
+        return String(name).replace(/\[\]$/, '');
+    }
+
+    _inputs(key) {
+        return [...this.form.elements].filter(el => el.name === key || el.name === `${key}[]`);
+    }
+
+    _sizeType(inputs, parsed) {
+        if (inputs[0]?.type === 'file') return 'file';
+        if (parsed.some(({ name }) => name === 'numeric' || name === 'integer')) return 'numeric';
+        if (Array.isArray(this.valueOf(inputs[0].name))) return 'array';
+        return 'string';
+    }
+
+    _attribute(name) {
+        if (this.attributes[name]) return this.attributes[name];
+        const input = this._inputs(name).find(el => el.dataset.attribute);
+        if (input) return input.dataset.attribute;
+        return name.replace(/\]\[|[[\]]/g, '.').replace(/\.$/, '').replace(/[_.]+/g, ' ').trim();
+    }
+
+    _message(name, rule, params, type, custom = null) {
+        let message = custom
+            ?? this.messages[`${name}.${rule}`]
+            ?? this.messages[`${rule}.${type}`]
+            ?? this.messages[rule]
+            ?? messages[rule]
+            ?? 'The :attribute field is invalid.';
+        if (typeof message === 'object') message = message[type] ?? message.string;
+
+        const attribute = this._attribute(name);
+        const replacements = {
+            attribute,
+            Attribute: attribute.charAt(0).toUpperCase() + attribute.slice(1),
+            min: params[0],
+            max: rule === 'between' ? params[1] : params[0],
+            values: params.join(', '),
+            other: rule === 'required_if' ? this._attribute(this._key(params[0] || '')) : params[0],
+            value: params.slice(1).join(', ')
+        };
+        return String(message).replace(/:(Attribute|attribute|min|max|values|other|value)\b/g, (match, key) => replacements[key] ?? match);
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * PaginationAdapters.js
+ *
+ * Normalizes paginated API responses for AjaxTable and AjaxDivBox.
+ * Each adapter has:
+ *   - name
+ *   - detect(response, meta): boolean
+ *   - parse(response, meta): {
+ *         type: 'length'|'simple'|'cursor'|string,
+ *         hasPrev, hasNext,
+ *         prev, next,        // navigation targets: { page } or { cursor }
+ *         currentPage?, lastPage?, links?   // links only for numbered pagination
+ *     }
+ *
+ * Custom adapters are passed through the components' `paginationAdapters` option and are
+ * tried before the built-in ones:
+ *
+ *   const jsonApiAdapter = {
+ *       name: 'json-api',
+ *       detect: (res) => !!res.links?.self,
+ *       parse: (res) => ({
+ *           type: 'simple',
+ *           hasPrev: !!res.links.prev,
+ *           hasNext: !!res.links.next,
+ *           prev: { page: res.meta.page - 1 },
+ *           next: { page: res.meta.page + 1 }
+ *       })
+ *   };
+ */
+
+// Laravel puts paginator fields at the top level for a raw paginator, and under
+// `meta` (with `links` at the top level) for API resources.
+const fields = (response, meta) => ({ ...(response || {}), ...(meta || {}) });
+
+const urlOf = (response, meta, key) => {
+    const f = fields(response, meta);
+    const links = !Array.isArray(response?.links) ? response?.links : null;
+    return f[`${key}_page_url`] ?? links?.[key] ?? null;
+};
+
+/** LengthAwarePaginator: `paginate()` */
+export const lengthAwareAdapter = {
+    name: 'length',
+    detect(response, meta) {
+        const f = fields(response, meta);
+        return f.last_page != null && Array.isArray(meta?.links || response?.links);
+    },
+    parse(response, meta) {
+        const f = fields(response, meta);
+        const currentPage = parseInt(f.current_page) || 1;
+        const lastPage = parseInt(f.last_page) || 1;
+        return {
+            type: 'length',
+            currentPage,
+            lastPage,
+            links: Array.isArray(meta?.links) ? meta.links : response.links,
+            hasPrev: currentPage > 1,
+            hasNext: currentPage < lastPage,
+            prev: { page: currentPage - 1 },
+            next: { page: currentPage + 1 }
+        };
+    }
+};
+
+/** CursorPaginator: `cursorPaginate()` */
+export const cursorAdapter = {
+    name: 'cursor',
+    detect(response, meta) {
+        const f = fields(response, meta);
+        return 'next_cursor' in f || 'prev_cursor' in f;
+    },
+    parse(response, meta) {
+        const f = fields(response, meta);
+        return {
+            type: 'cursor',
+            hasPrev: !!f.prev_cursor,
+            hasNext: !!f.next_cursor,
+            prev: { cursor: f.prev_cursor },
+            next: { cursor: f.next_cursor }
+        };
+    }
+};
+
+/** Paginator: `simplePaginate()` */
+export const simpleAdapter = {
+    name: 'simple',
+    detect(response, meta) {
+        const f = fields(response, meta);
+        return f.current_page != null && f.last_page == null;
+    },
+    parse(response, meta) {
+        const currentPage = parseInt(fields(response, meta).current_page) || 1;
+        return {
+            type: 'simple',
+            currentPage,
+            hasPrev: !!urlOf(response, meta, 'prev') || currentPage > 1,
+            hasNext: !!urlOf(response, meta, 'next'),
+            prev: { page: currentPage - 1 },
+            next: { page: currentPage + 1 }
+        };
+    }
+};
+
+export const defaultPaginationAdapters = [cursorAdapter, lengthAwareAdapter, simpleAdapter];
+
+/**
+ * Runs the first matching adapter.
+ * @param {Object} response - The full API response.
+ * @param {Object} meta - `response[metaKey]`.
+ * @param {Array<Object>} [adapters] - Custom adapters, tried before the defaults.
+ * @returns {Object|null} The parsed pagination state, or null if nothing matched.
+ */
+export function resolvePagination(response, meta, adapters = []) {
+    const adapter = [...adapters, ...defaultPaginationAdapters].find(a => a.detect(response, meta));
+    return adapter ? { adapter: adapter.name, ...adapter.parse(response, meta) } : null;
+}
+
+/**
+ * Builds DaisyUI-style previous/next buttons for pagination without page numbers.
+ * @param {Object} state - Parsed pagination state.
+ * @param {Function} onNavigate - Called with the `prev` or `next` target.
+ * @param {Object} [labels]
+ * @returns {HTMLElement}
+ */
+export function renderPrevNext(state, onNavigate, { prevLabel = '« Previous', nextLabel = 'Next »' } = {}) {
+    const joinDiv = document.createElement('div');
+    joinDiv.className = 'join';
+
+    [[state.prev, state.hasPrev, prevLabel, 'prev'], [state.next, state.hasNext, nextLabel, 'next']]
+        .forEach(([target, enabled, label, rel]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'join-item btn';
+            btn.dataset.rel = rel;
+            btn.textContent = label;
+            btn.disabled = !enabled;
+            if (enabled) {
+                btn.onclick = e => {
+                    e.preventDefault();
+                    onNavigate(target, rel);
+                };
+            }
+            joinDiv.appendChild(btn);
+        });
+
+    return joinDiv;
+}
@@ -0,0 +1,256 @@
+/**
+ * RequestRetry.js
+ *
+ * Retries, timeouts and error classification for the list loads of AjaxTable and AjaxDivBox.
+ * Network errors, timeouts and 5xx responses are retried with exponential backoff and jitter;
+ * 4xx responses, aborts and offline failures are not:
+ *
+ *   const data = await withRetry(signal => fetchJson('/api/users', { signal }), {
+ *       retries: 3,
+ *       retryDelay: 500,
+ *       timeout: 10000,
+ *       onRetry: ({ attempt, delay, kind }) => console.log(`Retry #${attempt} in ${delay}ms (${kind})`)
+ *   });
+ *
+ * Failed requests are described by a kind: 'offline', 'timeout', 'network', 'client' (4xx),
+ * 'server' (5xx), 'api' (a `{ ok: false }` body) or 'unknown'. Retries are opt-in: `retries`
+ * defaults to 0.
+ *
+ * renderRetryButton() and bindConnectionEvents() give both components the same retry button
+ * and online/offline handling.
+ */
+
+export const defaultErrorMessages = {
+    offline: 'You are offline. The list will reload when the connection is back.',
+    timeout: 'The server took too long to respond.',
+    network: 'Could not reach the server.',
+    client: 'The request could not be completed.',
+    server: 'The server ran into a problem. Please try again later.',
+    unknown: 'Failed to load data.'
+};
+
+export class RequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {string} [details.kind='unknown']
+     * @param {number|null} [details.status=null] - HTTP status, if a response was received.
+     * @param {*} [details.data=null] - Parsed response body, if any.
+     * @param {*} [details.cause=null] - The original error.
+     */
+    constructor(message, { kind = 'unknown', status = null, data = null, cause = null } = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.kind = kind;
+        this.status = status;
+        this.data = data;
+        this.cause = cause;
+    }
+}
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const isAbort = (err) => err?.name === 'AbortError' || err?.name === 'CanceledError' || !!window.axios?.isCancel?.(err);
+
+const kindOfStatus = (status) => status >= 500 ? 'server' : 'client';
+
+/**
+ * GETs JSON with fetch. Unlike fetch itself, rejects with a RequestError on non-2xx
+ * responses and when the server can't be reached.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.headers]
+ * @returns {Promise<*>}
+ */
+export async function fetchJson(url, { signal, headers = {} } = {}) {
+    let res;
+    try {
+        res = await fetch(url, { headers: { 'Accept': 'application/json', ...headers }, signal });
+    } catch (err) {
+        if (isAbort(err) || signal?.aborted) throw err;
+        throw new RequestError(err?.message || 'Network error.', { kind: isOffline() ? 'offline' : 'network', cause: err });
+    }
+
+    if (res.ok) return res.json();
+
+    const data = await res.json().catch(() => null);
+    throw new RequestError(data?.message || `Request failed with status ${res.status}.`, {
+        kind: kindOfStatus(res.status), status: res.status, data
+    });
+}
+
+/**
+ * Works out what kind of failure an error from fetchJson, axios or an API body is.
+ * @param {*} err
+ * @returns {{ kind: string, status: number|null }}
+ */
+export function classifyError(err) {
+    if (err instanceof RequestError) return { kind: err.kind, status: err.status };
+
+    const status = err?.response?.status;
+    if (typeof status === 'number' && status >= 400) return { kind: kindOfStatus(status), status };
+    if (err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT') return { kind: 'timeout', status: null };
+    if (err?.isAxiosError && !err.response) return { kind: isOffline() ? 'offline' : 'network', status: null };
+    if (err?.ok === false) return { kind: 'api', status: null };
+    return { kind: 'unknown', status: null };
+}
+
+/**
+ * Classifies an error and picks the message to show. API errors and 4xx responses keep the
+ * server's message when there is one; everything else gets the message for its kind.
+ * @param {*} err
+ * @param {Object<string, string>} [messages] - Overrides for defaultErrorMessages, by kind.
+ * @returns {{ kind: string, status: number|null, message: string }}
+ */
+export function describeError(err, messages = {}) {
+    const { kind, status } = classifyError(err);
+    const all = { ...defaultErrorMessages, ...messages };
+    const serverMessage = err?.data?.message || err?.response?.data?.message;
+
+    let message;
+    if (kind === 'api') message = err.message || all.unknown;
+    else if (kind === 'client') message = messages.client || serverMessage || all.client;
+    else if (kind === 'unknown') message = err?.message || all.unknown;
+    else message = all[kind];
+
+    return { kind, status, message };
+}
+
+/**
+ * Whether a failure is worth retrying: network errors, timeouts and 5xx responses.
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+    return ['network', 'timeout', 'server'].includes(classifyError(err).kind);
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): `retryDelay * 2^(attempt - 1)`, capped at
+ * `maxRetryDelay`, with "equal jitter" so clients that failed together don't retry together.
+ * @param {number} attempt
+ * @param {Object} [options]
+ * @param {number} [options.retryDelay=500]
+ * @param {number} [options.maxRetryDelay=8000]
+ * @returns {number}
+ */
+export function backoffDelay(attempt, { retryDelay = 500, maxRetryDelay = 8000 } = {}) {
+    const delay = Math.min(retryDelay * 2 ** Math.max(attempt - 1, 0), maxRetryDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Request aborted.', 'AbortError'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Request aborted.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Runs `request` until it succeeds, fails with a non-retryable error or runs out of retries.
+ * Each attempt gets its own signal, aborted by the outer `signal` or after `timeout` ms.
+ * @param {function(AbortSignal): Promise<*>} request
+ * @param {Object} [options]
+ * @param {number} [options.retries=0] - Retries after the first attempt.
+ * @param {number} [options.retryDelay=500] - Base delay in ms, doubled on every retry.
+ * @param {number} [options.maxRetryDelay=8000]
+ * @param {number} [options.timeout=0] - Per-attempt timeout in ms; 0 disables it.
+ * @param {AbortSignal} [options.signal]
+ * @param {function(Object): void} [options.onRetry] - Called with `{ attempt, delay, error, kind, status }`.
+ * @returns {Promise<*>}
+ */
+export async function withRetry(request, {
+    retries = 0,
+    retryDelay = 500,
+    maxRetryDelay = 8000,
+    timeout = 0,
+    signal = null,
+    onRetry = null
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const forward = () => controller.abort();
+        signal?.addEventListener('abort', forward, { once: true });
+        if (signal?.aborted) controller.abort();
+
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+
+        try {
+            return await request(controller.signal);
+        } catch (caught) {
+            if (signal?.aborted) throw caught;
+            const err = timedOut
+                ? new RequestError(`No response within ${timeout}ms.`, { kind: 'timeout', cause: caught })
+                : caught;
+
+            if (attempt >= retries || isOffline() || !isRetryable(err)) throw err;
+
+            const delay = backoffDelay(attempt + 1, { retryDelay, maxRetryDelay });
+            onRetry?.({ attempt: attempt + 1, delay, error: err, ...classifyError(err) });
+            await sleep(delay, signal);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', forward);
+        }
+    }
+}
+
+/**
+ * Adds a button to an error block unless it already has a `data-retry` element.
+ * @param {Element|null} error
+ * @param {string|null} label - No button is added when empty.
+ */
+export function renderRetryButton(error, label) {
+    if (!error || !label || error.querySelector('[data-retry]')) return;
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-sm btn-outline mt-2';
+    btn.dataset.retry = '';
+    btn.textContent = label;
+    error.appendChild(btn);
+}
+
+/**
+ * Calls `onRetry` for clicks on `[data-retry]` inside the error block, and `onOffline` and
+ * `onOnline` when the browser loses or regains its connection.
+ * @param {Object} options
+ * @param {Element|null} [options.error]
+ * @param {function(): void} options.onRetry
+ * @param {function(): void} [options.onOffline]
+ * @param {function(): void} [options.onOnline]
+ * @returns {function(): void} Removes the listeners.
+ */
+export function bindConnectionEvents({ error = null, onRetry, onOffline = () => {}, onOnline = () => {} }) {
+    const onClick = (e) => {
+        if (!e.target.closest('[data-retry]')) return;
+        e.preventDefault();
+        onRetry();
+    };
+
+    error?.addEventListener('click', onClick);
+    window.addEventListener('offline', onOffline);
+    window.addEventListener('online', onOnline);
+
+    return () => {
+        error?.removeEventListener('click', onClick);
+        window.removeEventListener('offline', onOffline);
+        window.removeEventListener('online', onOnline);
+    };
+}
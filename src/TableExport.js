@@ -0,0 +1,224 @@
+/**
+ * TableExport.js
+ *
+ * Builds CSV and XLSX files in the browser, without any dependencies.
+ * Used by AjaxTable.export(), but usable on its own:
+ *
+ *   import { buildCsv, buildXlsx, downloadBlob } from './TableExport.js';
+ *   const columns = [{ label: 'Name', key: 'name' }, { label: 'Total', accessor: r => r.total, formatter: v => v.toFixed(2) }];
+ *   downloadBlob(buildXlsx(columns, rows), 'orders.xlsx');
+ */
+
+/**
+ * Resolves the value of a column for a row.
+ * @param {Object} column - `{ key, accessor, formatter }`
+ * @param {Object} row
+ * @returns {*}
+ */
+export function cellValue(column, row) {
+    let value = typeof column.accessor === 'function'
+        ? column.accessor(row)
+        : String(column.key ?? '').split('.').reduce((v, k) => v?.[k], row);
+    if (typeof column.formatter === 'function') value = column.formatter(value, row);
+    return value ?? '';
+}
+
+/**
+ * @param {Array<Object>} columns
+ * @param {Array<Object>} rows
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @param {boolean} [options.bom=true] - Prepend a UTF-8 BOM so Excel detects the encoding.
+ * @returns {Blob}
+ */
+export function buildCsv(columns, rows, { delimiter = ',', bom = true } = {}) {
+    const escape = (value) => {
+        let str = value instanceof Date ? value.toISOString() : String(value);
+        // Keep spreadsheet apps from evaluating user content as formulas.
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+        return /["\r\n]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const lines = [
+        columns.map(c => escape(c.label ?? c.key ?? '')).join(delimiter),
+        ...rows.map(row => columns.map(c => escape(cellValue(c, row))).join(delimiter))
+    ];
+
+    return new Blob([(bom ? '\uFEFF' : '') + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * @param {Array<Object>} columns
+ * @param {Array<Object>} rows
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Sheet1']
+ * @returns {Blob}
+ */
+export function buildXlsx(columns, rows, { sheetName = 'Sheet1' } = {}) {
+    const xmlEscape = (str) => String(str)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+    const colName = (index) => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    };
+
+    const cell = (value, ref, style = 0) => {
+        const s = style ? ` s="${style}"` : '';
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}" t="b"${s}><v>${value ? 1 : 0}</v></c>`;
+        const text = value instanceof Date ? value.toISOString() : value;
+        return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+    };
+
+    const sheetRows = [
+        `<row r="1">${columns.map((c, i) => cell(c.label ?? c.key ?? '', `${colName(i)}1`, 1)).join('')}</row>`,
+        ...rows.map((row, r) => `<row r="${r + 2}">${columns.map((c, i) => cell(cellValue(c, row), `${colName(i)}${r + 2}`)).join('')}</row>`)
+    ];
+
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '</Relationships>',
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+            + '</styleSheet>',
+        'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + `<sheetData>${sheetRows.join('')}</sheetData>`
+            + '</worksheet>'
+    };
+
+    return new Blob([zipStore(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+/**
+ * Triggers a browser download for a Blob.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed ("stored") ZIP archive.
+ * @param {Object<string, string>} files - Path => UTF-8 content.
+ * @returns {Uint8Array}
+ */
+function zipStore(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([path, content]) => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        locals.push(new Uint8Array(local.buffer), name, data);
+        centrals.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    parts.forEach(part => {
+        out.set(part, pos);
+        pos += part.length;
+    });
+    return out;
+}
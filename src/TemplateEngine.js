@@ -0,0 +1,422 @@
+/**
+ * TemplateEngine.js
+ *
+ * Small, Blade-flavoured template engine used by AjaxTable and AjaxDivBox to render
+ * row/box templates. Output is HTML-escaped unless explicitly marked raw.
+ *
+ *   {{ data.name }}                    escaped output
+ *   {!! data.description_html !!}      raw output (only for trusted HTML)
+ *   {{ data.total | currency:'EUR' }}  pipe formatters, chainable
+ *   {{ data.note | default:'-' }}
+ *   @if(data.active && data.stock > 0) ... @elseif(data.stock == 0) ... @else ... @endif
+ *   @foreach(data.lines as line) {{ loop.index }}. {{ line.name }} @endforeach
+ *   @{{ literal }}                     outputs "{{ literal }}" untouched
+ *
+ * Templates without any of the syntax above keep the legacy `data.field` placeholders,
+ * which are now escaped as well.
+ *
+ * Formatters are plain functions `(value, ...args) => any`:
+ *
+ *   import TemplateEngine from './TemplateEngine.js';
+ *   TemplateEngine.registerFormatter('initials', v => String(v).split(' ').map(w => w[0]).join(''));
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+const decodeEntities = (str) => str
+    .replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+
+const toDate = (value) => {
+    if (value instanceof Date) return value;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatters = {
+    default: (value, fallback = '') => (value == null || value === '' ? fallback : value),
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase(),
+    truncate: (value, length = 50, end = '…') => {
+        const str = String(value ?? '');
+        return str.length > length ? str.slice(0, length) + end : str;
+    },
+    json: (value) => JSON.stringify(value),
+    number: (value, decimals = null, locale = undefined) => {
+        if (value == null || value === '' || Number.isNaN(Number(value))) return value ?? '';
+        const options = decimals == null ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+        return new Intl.NumberFormat(locale, options).format(Number(value));
+    },
+    currency: (value, currency = 'USD', locale = undefined) => {
+        if (value == null || value === '' || Number.isNaN(Number(value))) return value ?? '';
+        return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value));
+    },
+    date: (value, locale = undefined) => toDate(value)?.toLocaleDateString(locale) ?? (value ?? ''),
+    datetime: (value, locale = undefined) => toDate(value)?.toLocaleString(locale) ?? (value ?? ''),
+};
+
+const cache = new Map();
+
+export default class TemplateEngine {
+    /**
+     * Renders a template string with the given item available as `data`.
+     * @param {string} template
+     * @param {Object} data
+     * @returns {string}
+     */
+    static render(template, data) {
+        return TemplateEngine.compile(template)(data);
+    }
+
+    /**
+     * Compiles a template into a reusable render function. Results are cached by source.
+     * @param {string} template
+     * @returns {function(Object): string}
+     */
+    static compile(template) {
+        if (!cache.has(template)) {
+            const nodes = isLegacy(template) ? parseLegacy(template) : parse(tokenize(template));
+            cache.set(template, (data) => renderNodes(nodes, { data }));
+        }
+        return cache.get(template);
+    }
+
+    /**
+     * Registers a pipe formatter, usable as `{{ value | name:arg1,arg2 }}`.
+     * @param {string} name
+     * @param {function(*, ...*): *} fn
+     */
+    static registerFormatter(name, fn) {
+        formatters[name] = fn;
+    }
+
+    /**
+     * Escapes a value for safe insertion into HTML text or attribute values.
+     * @param {*} value
+     * @returns {string}
+     */
+    static escape(value) {
+        if (value == null) return '';
+        return String(value).replace(/[&<>"'`]/g, ch => ENTITIES[ch]);
+    }
+}
+
+function isLegacy(template) {
+    return !/\{\{|\{!!|@(if|foreach)\s*\(/.test(template);
+}
+
+function parseLegacy(template) {
+    const nodes = [];
+    const re = /data\.([a-zA-Z0-9_]+(?:\.[a-zA-Z0-9_]+)*)/g;
+    let last = 0;
+    let m;
+    while ((m = re.exec(template))) {
+        if (m.index > last) nodes.push({ type: 'text', value: template.slice(last, m.index) });
+        nodes.push({ type: 'output', expr: { type: 'path', path: ['data', ...m[1].split('.')] }, filters: [], raw: false });
+        last = re.lastIndex;
+    }
+    if (last < template.length) nodes.push({ type: 'text', value: template.slice(last) });
+    return nodes;
+}
+
+// ---------------------------------------------------------------------------
+// Template tokenizer / parser
+// ---------------------------------------------------------------------------
+
+/** Reads a balanced `( ... )` group starting at `start` (which must be "("). */
+function readParens(src, start) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < src.length; i++) {
+        const ch = src[i];
+        if (quote) {
+            if (ch === '\\') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '(') depth++;
+        else if (ch === ')' && --depth === 0) return { inner: src.slice(start + 1, i), end: i + 1 };
+    }
+    throw new Error('TemplateEngine: Unbalanced parentheses in directive.');
+}
+
+function tokenize(src) {
+    const tokens = [];
+    const re = /@\{\{|\{!!([\s\S]*?)!!\}|\{\{([\s\S]*?)\}\}|@(if|elseif|foreach)\s*(?=\()|@(else|endif|endforeach)\b/g;
+    let last = 0;
+    let m;
+
+    while ((m = re.exec(src))) {
+        if (m.index > last) tokens.push({ type: 'text', value: src.slice(last, m.index) });
+
+        if (m[0] === '@{{') {
+            // Blade-style escape: emit the literal braces and the rest of the expression untouched.
+            const close = src.indexOf('}}', re.lastIndex);
+            const end = close === -1 ? src.length : close + 2;
+            tokens.push({ type: 'text', value: src.slice(m.index + 1, end) });
+            re.lastIndex = end;
+        } else if (m[1] !== undefined) {
+            tokens.push({ type: 'output', source: m[1], raw: true });
+        } else if (m[2] !== undefined) {
+            tokens.push({ type: 'output', source: m[2], raw: false });
+        } else if (m[3]) {
+            const { inner, end } = readParens(src, re.lastIndex);
+            tokens.push({ type: m[3], source: inner });
+            re.lastIndex = end;
+        } else {
+            tokens.push({ type: m[4] });
+        }
+        last = re.lastIndex;
+    }
+    if (last < src.length) tokens.push({ type: 'text', value: src.slice(last) });
+    return tokens;
+}
+
+function parse(tokens) {
+    let pos = 0;
+
+    const parseBlock = (terminators) => {
+        const nodes = [];
+        while (pos < tokens.length) {
+            const token = tokens[pos];
+            if (terminators.includes(token.type)) return nodes;
+            pos++;
+
+            if (token.type === 'text') {
+                nodes.push(token);
+            } else if (token.type === 'output') {
+                nodes.push({ type: 'output', raw: token.raw, ...parseOutput(decodeEntities(token.source)) });
+            } else if (token.type === 'if') {
+                const branches = [{ cond: parseExpression(decodeEntities(token.source)), body: parseBlock(['elseif', 'else', 'endif']) }];
+                let otherwise = [];
+                while (pos < tokens.length && tokens[pos].type !== 'endif') {
+                    const branch = tokens[pos++];
+                    if (branch.type === 'elseif') {
+                        branches.push({ cond: parseExpression(decodeEntities(branch.source)), body: parseBlock(['elseif', 'else', 'endif']) });
+                    } else {
+                        otherwise = parseBlock(['endif']);
+                    }
+                }
+                if (tokens[pos++]?.type !== 'endif') throw new Error('TemplateEngine: Missing @endif.');
+                nodes.push({ type: 'if', branches, otherwise });
+            } else if (token.type === 'foreach') {
+                const m = decodeEntities(token.source).match(/^\s*([\s\S]+?)\s+as\s+(?:([A-Za-z_]\w*)\s*=>\s*)?([A-Za-z_]\w*)\s*$/);
+                if (!m) throw new Error(`TemplateEngine: Invalid @foreach(${token.source}).`);
+                const body = parseBlock(['endforeach']);
+                if (tokens[pos++]?.type !== 'endforeach') throw new Error('TemplateEngine: Missing @endforeach.');
+                nodes.push({ type: 'foreach', expr: parseExpression(m[1]), key: m[2] || null, as: m[3], body });
+            } else {
+                throw new Error(`TemplateEngine: Unexpected @${token.type}.`);
+            }
+        }
+        return nodes;
+    };
+
+    return parseBlock([]);
+}
+
+/** Splits `expr | filter:arg,arg | filter` on single pipes outside of quotes. */
+function parseOutput(source) {
+    const parts = [];
+    let quote = null;
+    let current = '';
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quote) {
+            if (ch === '\\') current += ch + (source[++i] ?? '');
+            else {
+                if (ch === quote) quote = null;
+                current += ch;
+            }
+            continue;
+        }
+        if (ch === '"' || ch === "'") quote = ch;
+        if (ch === '|' && source[i + 1] !== '|' && source[i - 1] !== '|') {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+
+    const [expr, ...filters] = parts;
+    return {
+        expr: parseExpression(expr),
+        filters: filters.map(f => {
+            const colon = f.indexOf(':');
+            const name = (colon === -1 ? f : f.slice(0, colon)).trim();
+            const args = colon === -1 ? [] : splitArgs(f.slice(colon + 1)).map(parseExpression);
+            return { name, args };
+        })
+    };
+}
+
+function splitArgs(source) {
+    const args = [];
+    let quote = null;
+    let current = '';
+    for (const ch of source) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === ',') {
+            args.push(current);
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (current.trim()) args.push(current);
+    return args;
+}
+
+// ---------------------------------------------------------------------------
+// Expressions: paths, literals, !, comparisons, && and ||. No function calls.
+// ---------------------------------------------------------------------------
+
+function lexExpression(src) {
+    const tokens = [];
+    const re = /\s*(?:(\d+(?:\.\d+)?)|'((?:\\.|[^'\\])*)'|"((?:\\.|[^"\\])*)"|(===|!==|==|!=|>=|<=|&&|\|\||[()!<>])|([A-Za-z_$][\w$]*(?:\.[\w$]+)*))/y;
+    let pos = 0;
+    while (pos < src.length) {
+        if (!src.slice(pos).trim()) break;
+        re.lastIndex = pos;
+        const m = re.exec(src);
+        if (!m) throw new Error(`TemplateEngine: Unexpected "${src.slice(pos).trim()}" in expression "${src}".`);
+        if (m[1] !== undefined) tokens.push({ type: 'literal', value: Number(m[1]) });
+        else if (m[2] !== undefined || m[3] !== undefined) {
+            tokens.push({ type: 'literal', value: (m[2] ?? m[3]).replace(/\\(.)/g, '$1') });
+        } else if (m[4]) tokens.push({ type: 'op', value: m[4] });
+        else {
+            const word = m[5];
+            if (word === 'true' || word === 'false') tokens.push({ type: 'literal', value: word === 'true' });
+            else if (word === 'null') tokens.push({ type: 'literal', value: null });
+            else tokens.push({ type: 'path', path: word.split('.') });
+        }
+        pos = re.lastIndex;
+    }
+    return tokens;
+}
+
+function parseExpression(source) {
+    const tokens = lexExpression(source.trim());
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+
+    const primary = () => {
+        const token = tokens[pos++];
+        if (!token) throw new Error(`TemplateEngine: Incomplete expression "${source}".`);
+        if (token.type === 'op' && token.value === '(') {
+            const node = or();
+            if (!isOp(')')) throw new Error(`TemplateEngine: Missing ")" in "${source}".`);
+            pos++;
+            return node;
+        }
+        if (token.type === 'op') throw new Error(`TemplateEngine: Unexpected "${token.value}" in "${source}".`);
+        return token;
+    };
+    const unary = () => {
+        if (isOp('!')) {
+            pos++;
+            return { type: 'not', operand: unary() };
+        }
+        return primary();
+    };
+    const compare = () => {
+        let left = unary();
+        while (isOp('==', '!=', '===', '!==', '>', '<', '>=', '<=')) {
+            const op = tokens[pos++].value;
+            left = { type: 'binary', op, left, right: unary() };
+        }
+        return left;
+    };
+    const and = () => {
+        let left = compare();
+        while (isOp('&&')) {
+            pos++;
+            left = { type: 'binary', op: '&&', left, right: compare() };
+        }
+        return left;
+    };
+    const or = () => {
+        let left = and();
+        while (isOp('||')) {
+            pos++;
+            left = { type: 'binary', op: '||', left, right: and() };
+        }
+        return left;
+    };
+
+    if (!tokens.length) return { type: 'literal', value: '' };
+    const node = or();
+    if (pos < tokens.length) throw new Error(`TemplateEngine: Unexpected token in "${source}".`);
+    return node;
+}
+
+function evaluate(node, scope) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'path':
+            return node.path.reduce((value, key) => (value == null ? undefined : value[key]), scope);
+        case 'not':
+            return !evaluate(node.operand, scope);
+        case 'binary': {
+            const left = evaluate(node.left, scope);
+            if (node.op === '&&') return left && evaluate(node.right, scope);
+            if (node.op === '||') return left || evaluate(node.right, scope);
+            const right = evaluate(node.right, scope);
+            switch (node.op) {
+                // Loose equality mirrors how Blade/PHP compares "1" and 1.
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '===': return left === right;
+                case '!==': return left !== right;
+                case '>': return left > right;
+                case '<': return left < right;
+                case '>=': return left >= right;
+                case '<=': return left <= right;
+            }
+        }
+    }
+    return undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderNodes(nodes, scope) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out += node.value;
+        } else if (node.type === 'output') {
+            let value = evaluate(node.expr, scope);
+            for (const { name, args } of node.filters) {
+                const fn = formatters[name];
+                if (!fn) throw new Error(`TemplateEngine: Unknown formatter "${name}".`);
+                value = fn(value, ...args.map(arg => evaluate(arg, scope)));
+            }
+            if (value != null && typeof value === 'object') value = JSON.stringify(value);
+            out += node.raw ? (value ?? '') : TemplateEngine.escape(value);
+        } else if (node.type === 'if') {
+            const branch = node.branches.find(b => evaluate(b.cond, scope));
+            out += renderNodes(branch ? branch.body : node.otherwise, scope);
+        } else if (node.type === 'foreach') {
+            const list = evaluate(node.expr, scope);
+            const entries = Array.isArray(list)
+                ? list.map((item, i) => [i, item])
+                : (list && typeof list === 'object' ? Object.entries(list) : []);
+
+            entries.forEach(([key, item], i) => {
+                const loop = { index: i + 1, index0: i, first: i === 0, last: i === entries.length - 1, count: entries.length };
+                const inner = { ...scope, [node.as]: item, loop };
+                if (node.key) inner[node.key] = key;
+                out += renderNodes(node.body, inner);
+            });
+        }
+    }
+    return out;
+}
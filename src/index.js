@@ -11,6 +11,30 @@ export { default as SelectDropdown } from './SelectDropdown.js';
 export { default as SelectMultipleDropdown } from './SelectMultipleDropdown.js';
 export { default as Toast } from './Toast.js';
 
+// Pagination adapters used by AjaxTable and AjaxDivBox
+export {
+    defaultPaginationAdapters,
+    lengthAwareAdapter,
+    simpleAdapter,
+    cursorAdapter,
+    resolvePagination
+} from './PaginationAdapters.js';
+
+// Template engine used for AjaxTable rows and AjaxDivBox items
+export { default as TemplateEngine } from './TemplateEngine.js';
+
+// DOM morphing used by AjaxDivBox's 'morph' render strategy
+export { morphChildren } from './DomMorph.js';
+
+// Saved filter presets used by AjaxTable and AjaxDivBox
+export { default as FilterPresets, LocalPresetStorage, RestPresetStorage } from './FilterPresets.js';
+
+// Retry, timeout and error classification helpers used by AjaxTable and AjaxDivBox
+export { withRetry, fetchJson, describeError, RequestError } from './RequestRetry.js';
+
+// Client-side validation from Laravel-style rule strings, used by FormSubmit
+export { default as FormValidator, parseRules } from './FormValidator.js';
+
 // Named exports for convenience
 import AjaxDivBox from './AjaxDivBox.js';
 import AjaxTable from './AjaxTable.js';
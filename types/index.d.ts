@@ -15,18 +15,202 @@ export interface AjaxDivBoxOptions {
     errorText?: string;
     loadingList?: string;
     additionalParams?: (() => Record<string, any>) | null;
+    paginationAdapters?: PaginationAdapter[];
+    cursorParam?: string;
+    prevLabel?: string;
+    nextLabel?: string;
+    paginationMode?: 'pages' | 'infinite' | 'loadMore';
+    loadMoreLabel?: string;
+    infiniteRootMargin?: string;
+    renderStrategy?: 'replace' | 'morph';
+    morphKey?: string;
+    enterClass?: string | null;
+    leaveClass?: string | null;
+    leaveDuration?: number;
+    skeleton?: boolean;
+    skeletonTemplateId?: string | null;
+    skeletonCount?: number | null;
+    dimClass?: string;
+    views?: Record<string, string | ((data: any) => string) | AjaxDivBoxView> | null;
+    defaultView?: string | null;
+    viewSwitcher?: string | HTMLElement | null;
+    viewStorageKey?: string | false | null;
+    viewParam?: string | null;
+    presets?: FilterPresetsOptions | boolean | null;
+    facetsKey?: string;
+    filterChips?: string | HTMLElement | boolean | null;
+    clearFiltersLabel?: string;
+    retries?: number;
+    retryDelay?: number;
+    maxRetryDelay?: number;
+    timeout?: number;
+    retryLabel?: string | null;
+    refetchOnReconnect?: boolean;
+    errorMessages?: Partial<Record<RequestErrorKind, string>>;
+}
+
+export type RequestErrorKind = 'offline' | 'timeout' | 'network' | 'client' | 'server' | 'api' | 'unknown';
+
+export declare class RequestError extends Error {
+    constructor(message: string, details?: { kind?: RequestErrorKind; status?: number | null; data?: any; cause?: any });
+    kind: RequestErrorKind;
+    status: number | null;
+    data: any;
+    cause: any;
+}
+
+export interface RetryOptions {
+    retries?: number;
+    retryDelay?: number;
+    maxRetryDelay?: number;
+    timeout?: number;
+    signal?: AbortSignal | null;
+    onRetry?: ((info: { attempt: number; delay: number; error: any; kind: RequestErrorKind; status: number | null }) => void) | null;
+}
+
+export declare function withRetry<T>(request: (signal: AbortSignal) => Promise<T>, options?: RetryOptions): Promise<T>;
+export declare function fetchJson(url: string, options?: { signal?: AbortSignal; headers?: Record<string, string> }): Promise<any>;
+export declare function describeError(err: any, messages?: Partial<Record<RequestErrorKind, string>>): {
+    kind: RequestErrorKind;
+    status: number | null;
+    message: string;
+};
+
+export interface FilterPreset {
+    id: string | number;
+    name: string;
+    filters: Record<string, any>;
+    isDefault?: boolean;
+}
+
+export interface FilterPresetStorage {
+    list(options?: { signal?: AbortSignal }): Promise<FilterPreset[]>;
+    save(preset: Partial<FilterPreset>): Promise<FilterPreset>;
+    remove(id: string | number): Promise<void>;
+}
+
+export interface FilterPresetError {
+    action: 'save' | 'rename' | 'remove' | 'default';
+    preset: FilterPreset | null;
+    error: any;
+    message: string;
+}
+
+export interface FilterPresetsOptions {
+    menu?: string | HTMLElement | null;
+    scope?: string | null;
+    url?: string | null;
+    storage?: FilterPresetStorage | null;
+    label?: string;
+    saveLabel?: string;
+}
+
+export declare class LocalPresetStorage implements FilterPresetStorage {
+    constructor(key: string);
+    list(): Promise<FilterPreset[]>;
+    save(preset: Partial<FilterPreset>): Promise<FilterPreset>;
+    remove(id: string | number): Promise<void>;
+}
+
+export declare class RestPresetStorage implements FilterPresetStorage {
+    constructor(
+        url: string,
+        scope: string | null,
+        request: (method: string, url: string, data?: any, options?: { signal?: AbortSignal }) => Promise<any>
+    );
+    list(options?: { signal?: AbortSignal }): Promise<FilterPreset[]>;
+    save(preset: Partial<FilterPreset>): Promise<FilterPreset>;
+    remove(id: string | number): Promise<void>;
+}
+
+export declare class FilterPresets {
+    constructor(component: AjaxTable | AjaxDivBox, options?: FilterPresetsOptions);
+    presets: FilterPreset[];
+    active: string | number | null;
+    load(): Promise<FilterPreset[]>;
+    abort(): void;
+    list(): FilterPreset[];
+    getDefault(): FilterPreset | null;
+    save(name: string, filters?: Record<string, any>): Promise<FilterPreset | null>;
+    apply(id: string | number): Promise<void>;
+    applyDefault(): boolean;
+    rename(id: string | number, name: string): Promise<FilterPreset | null>;
+    remove(id: string | number): Promise<void>;
+    setDefault(id: string | number | null): Promise<void>;
+}
+
+export interface AjaxDivBoxView {
+    templateId?: string;
+    onBox?: (data: any) => string;
+    label?: string;
+    className?: string;
+}
+
+export interface MorphOptions {
+    key?: string;
+    enterClass?: string | null;
+    leaveClass?: string | null;
+    leaveDuration?: number;
+}
+
+export declare function morphChildren(container: Element, html: string | Node, options?: MorphOptions): void;
+
+export interface PaginationTarget {
+    page?: number;
+    cursor?: string | null;
+}
+
+export interface PaginationState {
+    type: 'length' | 'simple' | 'cursor' | string;
+    hasPrev: boolean;
+    hasNext: boolean;
+    prev: PaginationTarget;
+    next: PaginationTarget;
+    currentPage?: number;
+    lastPage?: number;
+    links?: Array<{ url: string | null; label: string; active: boolean }>;
+}
+
+export interface PaginationAdapter {
+    name: string;
+    detect(response: any, meta: any): boolean;
+    parse(response: any, meta: any): PaginationState;
+}
+
+export declare const lengthAwareAdapter: PaginationAdapter;
+export declare const simpleAdapter: PaginationAdapter;
+export declare const cursorAdapter: PaginationAdapter;
+export declare const defaultPaginationAdapters: PaginationAdapter[];
+export declare function resolvePagination(response: any, meta: any, adapters?: PaginationAdapter[]): (PaginationState & { adapter: string }) | null;
+
+export declare class TemplateEngine {
+    static render(template: string, data: any): string;
+    static compile(template: string): (data: any) => string;
+    static registerFormatter(name: string, fn: (value: any, ...args: any[]) => any): void;
+    static escape(value: any): string;
 }
 
 export declare class AjaxDivBox {
     constructor(options: AjaxDivBoxOptions);
+    on(event: 'preseterror', callback: (payload: FilterPresetError) => void): this;
     on(event: string, callback: (payload: any) => void): this;
     init(page?: number): Promise<void>;
-    fetchData(page?: number): Promise<void>;
+    fetchData(page?: number, options?: { cursor?: string | null; append?: boolean }): Promise<void>;
     refresh(): void;
+    abort(): void;
+    destroy(): void;
+    loadMore(): Promise<void>;
+    loadingMore: boolean;
+    setView(name: string): Promise<void>;
+    getView(): string | null;
+    setFilters(values?: Record<string, any>, options?: { fetch?: boolean }): Promise<void>;
+    clearFilters(): Promise<void>;
+    removeFilter(name: string, value?: string | null): Promise<void>;
+    presets: FilterPresets | null;
 }
 
 export interface AjaxTableOptions {
-    url: string;
+    url?: string;
     container: string | HTMLElement;
     templateId?: string;
     metaKey?: string;
@@ -35,14 +219,171 @@ export interface AjaxTableOptions {
     onRow?: ((data: any) => string) | null;
     pagination?: string | HTMLElement | null;
     filterSelector?: string | HTMLElement | null;
+    sortParam?: string;
+    directionParam?: string;
+    sortFormat?: 'separate' | 'combined';
+    multiSort?: boolean;
+    defaultSort?: AjaxTableSortInput;
+    selectable?: boolean;
+    rowKey?: string;
+    bulkToolbar?: string | HTMLElement | null;
+    bulkUrl?: string | null;
+    bulkIdsKey?: string;
+    syncUrl?: boolean;
+    urlPrefix?: string;
+    mode?: 'server' | 'client';
+    data?: any[] | null;
+    perPage?: number;
+    filterPredicates?: Record<string, (value: any, filterValue: string, row: any) => boolean>;
+    editUrl?: string | ((row: any) => string) | null;
+    editMethod?: 'PATCH' | 'PUT' | 'POST';
+    exportColumns?: AjaxTableExportColumn[] | null;
+    exportFilename?: string;
+    columns?: AjaxTableColumn[] | null;
+    columnMenu?: string | HTMLElement | null;
+    columnMenuLabel?: string;
+    columnsUrl?: string | null;
+    tableId?: string | null;
+    cache?: boolean;
+    cacheTtl?: number;
+    cacheMaxEntries?: number;
+    cacheStorage?: 'memory' | 'session';
+    prefetch?: boolean;
+    paginationAdapters?: PaginationAdapter[];
+    cursorParam?: string;
+    prevLabel?: string;
+    nextLabel?: string;
+    perPageOptions?: number[] | null;
+    perPageSelector?: string | HTMLElement | null;
+    perPageParam?: string;
+    perPageLabel?: string;
+    jumpToPage?: string | HTMLElement | null;
+    jumpLabel?: string;
+    summary?: string | HTMLElement | null;
+    summaryTemplate?: string | ((info: { from: number; to: number; total: number | null; meta: any }) => string) | null;
+    detailTemplateId?: string | null;
+    onDetail?: ((row: any) => string | Promise<string>) | null;
+    singleExpand?: boolean;
+    poll?: number;
+    pollIdle?: number;
+    echo?: any;
+    broadcast?: AjaxTableBroadcastOptions | AjaxTableBroadcastOptions[] | null;
+    highlightClass?: string;
+    highlightDuration?: number;
+    virtualScroll?: boolean;
+    rowHeight?: number;
+    overscan?: number;
+    scrollHeight?: number | string;
+    scrollContainer?: string | HTMLElement | null;
+    reorderable?: boolean;
+    reorderUrl?: string | null;
+    reorderMethod?: string;
+    reorderPayload?: 'ids' | 'move' | ((info: AjaxTableReorderInfo, row: any) => any);
+    reorderIdsKey?: string;
+    skeleton?: boolean;
+    skeletonTemplateId?: string | null;
+    skeletonCount?: number | null;
+    dimClass?: string;
+    presets?: FilterPresetsOptions | boolean | null;
+    retries?: number;
+    retryDelay?: number;
+    maxRetryDelay?: number;
+    timeout?: number;
+    retryLabel?: string | null;
+    refetchOnReconnect?: boolean;
+    errorMessages?: Partial<Record<RequestErrorKind, string>>;
+}
+
+export interface AjaxTableReorderInfo {
+    id: string;
+    ids: string[];
+    index: number;
+    before: string | null;
+    after: string | null;
+    page: number;
+}
+
+export interface AjaxTableBroadcastOptions {
+    channel: string;
+    event: string | string[];
+    type?: 'public' | 'private' | 'presence';
+    action?: 'refresh' | 'patch' | 'prepend' | ((payload: any, table: AjaxTable) => void);
+    payloadKey?: string | null;
+    highlight?: boolean;
+    echo?: any;
+}
+
+export interface AjaxTableColumn {
+    key: string;
+    label?: string;
+    visible?: boolean;
+}
+
+export interface AjaxTableExportColumn {
+    label?: string;
+    key?: string;
+    accessor?: (row: any) => any;
+    formatter?: (value: any, row: any) => any;
+}
+
+export interface AjaxTableExportOptions {
+    format?: 'csv' | 'xlsx';
+    allPages?: boolean;
+    columns?: AjaxTableExportColumn[] | null;
+    filename?: string | null;
+}
+
+export interface AjaxTableSelection {
+    ids: string[];
+    all: boolean;
+    except: string[];
+    count: number;
+}
+
+export interface AjaxTableSort {
+    column: string;
+    direction: 'asc' | 'desc';
 }
 
+export type AjaxTableSortInput = string | AjaxTableSort | AjaxTableSort[] | null;
+
 export declare class AjaxTable {
     constructor(options: AjaxTableOptions);
+    on(event: 'preseterror', callback: (payload: FilterPresetError) => void): this;
     on(event: string, callback: (payload: any) => void): this;
     init(page?: number): Promise<void>;
-    fetchData(page?: number): Promise<void>;
-    refresh(): void;
+    fetchData(page?: number, options?: { cursor?: string | null; silent?: boolean }): Promise<void>;
+    refresh(options?: { silent?: boolean }): Promise<void>;
+    abort(): void;
+    startPolling(interval?: number): void;
+    stopPolling(): void;
+    listen(options: AjaxTableBroadcastOptions): () => void;
+    stopListening(): void;
+    destroy(): void;
+    patchRow(data: any, options?: { highlight?: boolean }): boolean;
+    prependRows(rows: any | any[], options?: { highlight?: boolean }): any[];
+    scrollToRow(index: number): void;
+    moveRow(rowOrId: string | number | HTMLElement, toIndex: number): Promise<boolean>;
+    setFilters(values?: Record<string, any>, options?: { fetch?: boolean }): Promise<void>;
+    presets: FilterPresets | null;
+    setSort(sort: AjaxTableSortInput, options?: { fetch?: boolean }): Promise<void>;
+    getSort(): AjaxTableSort[];
+    setData(data: any[] | null): Promise<void>;
+    export(options?: AjaxTableExportOptions): Promise<Blob | null>;
+    abortExport(): void;
+    getColumns(): AjaxTableColumn[];
+    setColumnVisibility(key: string, visible: boolean): void;
+    setColumnOrder(keys: string[]): void;
+    invalidate(): this;
+    setPerPage(perPage: number): Promise<void>;
+    expand(rowOrId: string | number | HTMLElement): Promise<void>;
+    collapse(rowOrId: string | number | HTMLElement): void;
+    toggleDetail(rowOrId: string | number | HTMLElement): Promise<void> | void;
+    getSelectedIds(): string[];
+    getSelection(): AjaxTableSelection;
+    clearSelection(): void;
+    selectAllMatching(): void;
+    runBulkAction(action: string, options?: { url?: string; method?: string; confirm?: string; button?: HTMLElement }): Promise<any>;
 }
 
 export declare class CodeInput {
@@ -96,11 +437,69 @@ export interface FormSubmitOptions {
     useToast?: boolean;
     disableOnSuccess?: boolean;
     redirectUrl?: string;
+    validate?: boolean;
+    rules?: Record<string, FormValidationRule>;
+    validationMessages?: Record<string, string | Partial<Record<FormValidationSizeType, string>>>;
+    attributes?: Record<string, string>;
+    liveValidation?: boolean;
+    progressBar?: boolean | string | HTMLElement;
+}
+
+export interface FormSubmitProgress {
+    percent: number | null;
+    loaded: number;
+    total: number | null;
+    rate: number;
+    eta: number | null;
+}
+
+export type FormValidationSizeType = 'numeric' | 'file' | 'string' | 'array';
+
+export interface FormValidationContext {
+    name: string;
+    inputs: HTMLElement[];
+    input: HTMLElement;
+    form: HTMLFormElement;
+    type: FormValidationSizeType;
+    validator: FormValidator;
+}
+
+export type FormValidationRule = (
+    value: any,
+    params: string[],
+    context: FormValidationContext
+) => boolean | string | Promise<boolean | string>;
+
+export interface FormValidationResult {
+    valid: boolean;
+    errors: Record<string, string[]>;
+}
+
+export declare function parseRules(source: string): Array<{ name: string; params: string[] }>;
+
+export declare class FormValidator {
+    constructor(form: HTMLFormElement, options?: {
+        rules?: Record<string, FormValidationRule>;
+        messages?: Record<string, string | Partial<Record<FormValidationSizeType, string>>>;
+        attributes?: Record<string, string>;
+    });
+    static registerRule(name: string, fn: FormValidationRule, message?: string): void;
+    static setMessages(messages: Record<string, string | Partial<Record<FormValidationSizeType, string>>>): void;
+    fields(): string[];
+    validate(): Promise<FormValidationResult>;
+    validateField(name: string): Promise<string[]>;
+    valueOf(name: string): string | any[] | null;
+    isChecked(name: string): boolean;
 }
 
 export declare class FormSubmit {
     constructor(config?: FormSubmitOptions);
-    on(event: 'success' | 'error', callback: (payload: any) => void): this;
+    on(event: 'progress', callback: (progress: FormSubmitProgress) => void): this;
+    on(event: 'success' | 'error' | 'beforeSubmit' | 'afterSubmit' | 'invalid' | 'cancel', callback: (payload: any) => void): this;
+    validator: FormValidator | null;
+    progressElement: HTMLElement | null;
+    validate(): Promise<boolean>;
+    cancel(): boolean;
 }
 
 export declare class ImageInput {